@@ -4,6 +4,20 @@ import { fileURLToPath } from 'url';
 import { execFile } from 'child_process';
 import fs from 'fs-extra';
 import dotenv from 'dotenv';
+import { getProvider, listProviders, isProviderConfigured } from './lib/providers/index.js';
+import { createJobQueue } from './lib/job-queue.js';
+import { listTemplates } from './lib/prompt-templates.js';
+import { listScenes } from './lib/scenes.js';
+import { MODEL_INPUT_DIR, listPersonas } from './lib/model-refs.js';
+import { listCatalog, saveProduct, importCatalogCsv } from './lib/catalog.js';
+import { openGallery } from './lib/gallery-db.js';
+import { INSTAGRAM_VARIANTS, DEFAULT_VARIANT, createVariant, parseFocus, removeVariantFiles } from './lib/instagram-variants.js';
+import { THUMBNAIL_SIZES, ensureThumbnail, backfillThumbnails, removeThumbnails } from './lib/thumbnails.js';
+import { listWatermarks, loadWatermark, createWatermarkedImage, removeWatermarkedFiles } from './lib/watermark.js';
+import { copyMetadata } from './lib/image-metadata.js';
+import { computeImageHash, findNearestDuplicate, findDuplicateClusters } from './lib/perceptual-hash.js';
+import { DEFAULT_MIN_COLOR_SCORE } from './lib/color-match.js';
+import { removeAlternateFiles } from './lib/alternates.js';
 
 dotenv.config();
 
@@ -18,7 +32,23 @@ const OUTPUT_DIR = path.join(__dirname, 'output_folder');
 const STYLE_INPUT_DIR = path.join(__dirname, 'style_input');
 const HIJAB_INPUT_DIR = path.join(__dirname, 'hijab_input');
 const TOKENS_FILE = path.join(__dirname, '.instagram-tokens.json');
-const PROMPT_HISTORY_FILE = path.join(OUTPUT_DIR, 'prompt_history.json');
+const JOBS_FILE = path.join(OUTPUT_DIR, 'jobs.json');
+// Imports gallery.json and prompt_history.json on first start
+const gallery = openGallery(OUTPUT_DIR);
+
+// Human readable reasons for the error classes recorded by index.js
+const ERROR_CLASS_LABELS = {
+  rate_limit: 'Rate limited',
+  server_error: 'Provider error',
+  timeout: 'Timed out',
+  network: 'Network error',
+  empty_response: 'No image returned',
+  content_policy: 'Blocked by safety filter',
+  auth: 'Invalid API key',
+  invalid_request: 'Invalid request',
+  quality: 'Failed quality check',
+  unknown: 'Unknown error'
+};
 
 const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.heic', '.heif'];
 
@@ -51,24 +81,6 @@ async function getHijabFolders(dir) {
   }
 }
 
-async function loadPromptHistory() {
-  try {
-    if (await fs.pathExists(PROMPT_HISTORY_FILE)) {
-      const data = await fs.readFile(PROMPT_HISTORY_FILE, 'utf-8');
-      const parsed = JSON.parse(data);
-      if (Array.isArray(parsed)) return parsed;
-    }
-  } catch {
-    // ignore
-  }
-  return [];
-}
-
-async function savePromptHistory(prompts) {
-  await fs.ensureDir(OUTPUT_DIR);
-  await fs.writeFile(PROMPT_HISTORY_FILE, JSON.stringify(prompts, null, 2));
-}
-
 // Facebook App credentials (needed for OAuth)
 const FB_APP_ID = process.env.FB_APP_ID;
 const FB_APP_SECRET = process.env.FB_APP_SECRET;
@@ -232,6 +244,29 @@ app.post('/api/refresh-token', async (req, res) => {
 // Serve static files from output folder
 app.use('/images', express.static(OUTPUT_DIR));
 app.use('/style-input', express.static(STYLE_INPUT_DIR));
+app.use('/model-input', express.static(MODEL_INPUT_DIR));
+
+/**
+ * Gallery thumbnails (thumb or medium), created on first request if the
+ * generator or the startup backfill has not made them yet
+ */
+app.get('/thumbs/:size/:filename', async (req, res) => {
+  const { size, filename } = req.params;
+  if (!THUMBNAIL_SIZES[size] || filename !== path.basename(filename)) {
+    return res.status(404).end();
+  }
+  if (!(await fs.pathExists(path.join(OUTPUT_DIR, filename)))) {
+    return res.status(404).end();
+  }
+  try {
+    const thumbnailPath = await ensureThumbnail(OUTPUT_DIR, filename, size);
+    res.sendFile(thumbnailPath, { maxAge: '7d' });
+  } catch (error) {
+    // Unreadable by sharp: let the browser try the original
+    console.warn('Could not create thumbnail for ' + filename + ': ' + error.message);
+    res.redirect('/images/' + encodeURIComponent(filename));
+  }
+});
 
 /**
  * Instagram OAuth - Step 1: Redirect to Facebook Login
@@ -410,7 +445,7 @@ app.post('/auth/instagram/disconnect', async (req, res) => {
 /**
  * Post image to Instagram using Graph API
  */
-async function postToInstagram(imageUrl, caption) {
+async function postToInstagram(imageUrl, caption, mediaType = 'IMAGE') {
   const creds = getInstagramCreds();
   
   if (!creds.accessToken || !creds.userId) {
@@ -444,8 +479,9 @@ async function postToInstagram(imageUrl, caption) {
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
     body: new URLSearchParams({
       image_url: imageUrl,
-      caption: caption || '',
-      media_type: 'IMAGE',
+      // Stories have no caption
+      ...(mediaType === 'STORIES' ? {} : { caption: caption || '' }),
+      media_type: mediaType,
       access_token: creds.accessToken
     })
   });
@@ -515,27 +551,54 @@ async function postToInstagram(imageUrl, caption) {
 }
 
 /**
- * Update gallery.json with posted status
+ * Get an image's Instagram variant, cropping it with smart focus first if it
+ * was never created (e.g. images generated with --no-variants)
  */
-async function markAsPosted(imageId) {
-  const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-  const data = await fs.readFile(galleryPath, 'utf-8');
-  const galleryData = JSON.parse(data);
-  
-  const image = galleryData.images.find(img => img.id === imageId);
-  if (image) {
-    image.postedToInstagram = true;
-    image.postedAt = new Date().toISOString();
-    await fs.writeFile(galleryPath, JSON.stringify(galleryData, null, 2));
+async function ensureVariant(image, variant) {
+  const existing = image.variants && image.variants[variant];
+  if (existing && await fs.pathExists(path.join(OUTPUT_DIR, existing.filename))) {
+    return existing;
   }
-  
-  return galleryData;
+  const created = await createVariant(OUTPUT_DIR, image.filename, variant);
+  gallery.saveVariant(image.id, created);
+  return created;
+}
+
+/**
+ * Load a watermark preset, or return null for none. Unknown presets throw an
+ * error with status 400.
+ */
+async function getWatermarkPreset(name) {
+  if (!name) return null;
+  try {
+    return await loadWatermark(name);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Watermarked copy of output_folder/<filename>, with the connected Instagram
+ * handle available to the preset's text
+ */
+function watermarkFile(filename, preset) {
+  return createWatermarkedImage(OUTPUT_DIR, filename, preset, {
+    instagramUsername: instagramTokens?.username || ''
+  });
+}
+
+/**
+ * Record an Instagram post for a gallery image
+ */
+function markAsPosted(imageId, mediaId, caption) {
+  return gallery.recordPost(imageId, { platform: 'instagram', mediaId, caption });
 }
 
 // API endpoint to post to Instagram
 app.post('/api/post-to-instagram', async (req, res) => {
   try {
-    const { imageId, filename, caption } = req.body;
+    const { imageId, caption, variant = DEFAULT_VARIANT, watermark } = req.body;
     
     if (!PUBLIC_URL) {
       return res.status(400).json({ 
@@ -550,19 +613,34 @@ app.post('/api/post-to-instagram', async (req, res) => {
       });
     }
     
+    const image = gallery.getImage(imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (variant !== 'original' && !INSTAGRAM_VARIANTS[variant]) {
+      return res.status(400).json({ error: 'Unknown variant: ' + variant });
+    }
+    const watermarkPreset = await getWatermarkPreset(watermark);
+    
+    // Feed posts must be between 4:5 and 1.91:1, so post a cropped variant unless asked not to
+    let filename = variant === 'original' ? image.filename : (await ensureVariant(image, variant)).filename;
+    if (watermarkPreset) {
+      filename = await watermarkFile(filename, watermarkPreset);
+    }
+    const mediaType = variant === 'original' ? 'IMAGE' : INSTAGRAM_VARIANTS[variant].mediaType;
     const imageUrl = `${PUBLIC_URL}/images/${filename}`;
     
     console.log('Posting to Instagram:', imageUrl);
     
-    const result = await postToInstagram(imageUrl, caption);
+    const result = await postToInstagram(imageUrl, caption, mediaType);
     
     // Mark as posted in gallery
-    await markAsPosted(imageId);
+    markAsPosted(imageId, result.id, caption);
     
     res.json({ success: true, instagramMediaId: result.id });
   } catch (error) {
     console.error('Instagram post error:', error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -581,27 +659,38 @@ app.get('/api/instagram-status', (req, res) => {
 // Serve the dashboard HTML
 app.get('/', async (req, res) => {
   try {
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    let galleryData = { images: [] };
+    // Newest first
+    const images = gallery.listImages();
+    const stats = gallery.getStats();
     
-    if (await fs.pathExists(galleryPath)) {
-      const data = await fs.readFile(galleryPath, 'utf-8');
-      galleryData = JSON.parse(data);
-    }
-    
-    // Sort by newest first
-    galleryData.images.sort((a, b) => b.id - a.id);
+    // Most recent failed generations first
+    const failures = gallery.listFailures(10);
     
     // Get unique hijab styles for filter
-    const uniqueStyles = [...new Set(galleryData.images.map(img => img.hijabStyle))].sort();
+    const uniqueStyles = gallery.listHijabStyles();
+    
+    // Groups of lookalike images, numbered from 1 for the lookalikes filter
+    const duplicateGroups = findDuplicateClusters(gallery.listImageHashes());
+    const duplicateGroupOf = new Map();
+    duplicateGroups.forEach((ids, index) => ids.forEach(id => duplicateGroupOf.set(id, { group: index + 1, size: ids.length })));
     
     const styleImages = (await getImageFiles(STYLE_INPUT_DIR)).sort();
     const hijabFolders = (await getHijabFolders(HIJAB_INPUT_DIR)).sort();
+    const catalog = await listCatalog(HIJAB_INPUT_DIR);
     
     const creds = getInstagramCreds();
     const instagramConnected = !!(creds.accessToken && creds.userId);
     const canPost = instagramConnected && !!PUBLIC_URL;
     const isMac = process.platform === 'darwin';
+    const providers = listProviders().filter(p => !p.hideUnlessConfigured || isProviderConfigured(p));
+    const providerModels = Object.fromEntries(providers.map(p => [p.name, p.defaultModel]));
+    const promptTemplates = await listTemplates();
+    const scenes = await listScenes();
+    const personas = await listPersonas();
+    const watermarks = await listWatermarks();
+    const variantOptions = Object.entries(INSTAGRAM_VARIANTS)
+      .map(([name, spec]) => `<option value="${name}"${name === DEFAULT_VARIANT ? ' selected' : ''}>${escapeHtml(spec.label)}</option>`)
+      .join('');
     
     console.log('Instagram status:', { connected: instagramConnected, canPost, hasToken: !!creds.accessToken, hasUserId: !!creds.userId });
     
@@ -812,6 +901,16 @@ app.get('/', async (req, res) => {
       border-color: var(--accent);
       box-shadow: 0 0 0 1px var(--accent);
     }
+    .persona-none {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      aspect-ratio: 1;
+      border: 1px dashed var(--border);
+      border-radius: 6px;
+      font-size: 0.7rem;
+      color: var(--text-secondary);
+    }
     .prompt-history {
       margin-top: 0.8rem;
       display: grid;
@@ -854,6 +953,22 @@ app.get('/', async (req, res) => {
     }
     .btn-generate:hover { background: var(--accent-hover); }
     
+    .job-list { margin-top: 1.5rem; display: grid; gap: 0.5rem; }
+    .job { display: flex; align-items: center; gap: 1rem; padding: 0.6rem 0.8rem; background: var(--bg-primary); border: 1px solid var(--border); border-radius: 6px; font-size: 0.75rem; }
+    .job-label { flex: 1; color: var(--text-primary); text-transform: capitalize; }
+    .job-runs { display: flex; gap: 0.3rem; }
+    .run-chip { width: 22px; height: 22px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 0.65rem; background: var(--border); color: var(--text-secondary); }
+    .run-chip.running { background: var(--accent); color: var(--bg-primary); }
+    .run-chip.done { background: var(--success); color: white; }
+    .run-chip.failed { background: var(--error); color: white; }
+    .job-status { font-size: 0.65rem; letter-spacing: 0.1em; text-transform: uppercase; padding: 0.25rem 0.6rem; border-radius: 4px; background: var(--border); color: var(--text-secondary); }
+    .job-status.running { background: var(--accent); color: var(--bg-primary); }
+    .job-status.done { background: var(--success); color: white; }
+    .job-status.failed { background: var(--error); color: white; }
+    .run-chip.cancelled, .job-status.cancelled { text-decoration: line-through; }
+    .btn-cancel-job { background: transparent; border: 1px solid var(--border); color: var(--text-secondary); padding: 0.25rem 0.6rem; font-size: 0.65rem; border-radius: 4px; cursor: pointer; }
+    .btn-cancel-job:hover { border-color: var(--error); color: var(--error); }
+    
     .gallery {
       max-width: 1400px;
       margin: 0 auto;
@@ -896,9 +1011,14 @@ app.get('/', async (req, res) => {
       letter-spacing: 0.12em;
       text-transform: uppercase;
     }
+    .card.loading.failed { border-color: var(--error); }
+    .card.loading.failed .spinner { display: none; }
+    .card.loading.failed .loading-text { color: var(--error); }
     
     .card-image-wrapper { position: relative; }
-    .card-image { width: 100%; aspect-ratio: 1; object-fit: cover; display: block; }
+    .card-image { width: 100%; aspect-ratio: 1; object-fit: cover; display: block; cursor: zoom-in; }
+    .lightbox { cursor: zoom-out; }
+    .lightbox img { max-width: 95vw; max-height: 95vh; object-fit: contain; }
     .card-overlay { position: absolute; top: 0.5rem; right: 0.5rem; display: flex; gap: 0.5rem; opacity: 0; transition: opacity 0.2s; }
     .card:hover .card-overlay { opacity: 1; }
     .btn-heart, .btn-delete { width: 40px; height: 40px; border-radius: 50%; border: none; cursor: pointer; font-size: 1.2rem; display: flex; align-items: center; justify-content: center; transition: transform 0.2s; }
@@ -911,6 +1031,9 @@ app.get('/', async (req, res) => {
     .card-content { padding: 1.5rem; }
     .card-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; }
     .hijab-style { font-family: 'Cormorant Garamond', serif; font-size: 1.4rem; color: var(--accent); text-transform: capitalize; }
+    .product-line { display: flex; gap: 0.5rem; align-items: baseline; flex-wrap: wrap; margin: -0.6rem 0 1rem; font-size: 0.75rem; color: var(--text-secondary); }
+    .product-line a { color: var(--accent); text-decoration: none; }
+    .catalog-link { color: var(--accent); cursor: pointer; }
     
     .badges { display: flex; gap: 0.5rem; }
     .provider-badge, .posted-badge {
@@ -922,6 +1045,17 @@ app.get('/', async (req, res) => {
     }
     .provider-badge { background: var(--border); color: var(--text-secondary); }
     .posted-badge { background: var(--success); color: white; }
+    .dup-badge { background: #5a4a1a; color: #f0d890; }
+    .color-badge { display: inline-flex; align-items: center; gap: 0.25rem; }
+    .color-badge.color-low { background: #5a1a1a; color: #f0b0b0; }
+    .color-swatch { display: inline-block; width: 0.7rem; height: 0.7rem; border-radius: 50%; border: 1px solid rgba(255,255,255,0.4); }
+    .btn-keep { display: none; width: 40px; height: 40px; border-radius: 50%; border: none; cursor: pointer; font-size: 1.2rem; align-items: center; justify-content: center; background: rgba(255,255,255,0.9); }
+    .duplicates-view .btn-keep { display: flex; }
+    .duplicates-view .card.keep .card-overlay { opacity: 1; }
+    .card.keep { outline: 2px solid var(--accent); }
+    .card.keep .btn-keep { background: var(--accent); }
+    .btn-remove-lookalikes { display: none; background: var(--error); color: white; }
+    .duplicates-view .btn-remove-lookalikes { display: inline-block; }
     
     .caption-wrapper { margin-bottom: 1rem; }
     .caption { font-size: 0.9rem; color: var(--text-secondary); line-height: 1.7; margin-bottom: 0.5rem; }
@@ -993,15 +1127,56 @@ app.get('/', async (req, res) => {
     .modal-content h3 { color: var(--accent); margin-bottom: 1rem; font-family: 'Cormorant Garamond', serif; }
     .modal-content p { color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem; }
     .modal-content input { width: 100%; padding: 0.8rem; background: var(--bg-primary); border: 1px solid var(--border); border-radius: 6px; color: var(--text-primary); font-size: 0.85rem; margin-bottom: 1rem; }
+    .modal-content select { width: 100%; padding: 0.8rem; background: var(--bg-primary); border: 1px solid var(--border); border-radius: 6px; color: var(--text-primary); font-size: 0.85rem; margin-bottom: 1rem; }
+    .modal-content .checkbox { margin-bottom: 1rem; }
+    .modal-content textarea { width: 100%; padding: 0.8rem; background: var(--bg-primary); border: 1px solid var(--border); border-radius: 6px; color: var(--text-primary); font-size: 0.8rem; font-family: monospace; margin-bottom: 1rem; resize: vertical; }
+    .catalog-fields { display: grid; grid-template-columns: 1fr 1fr; gap: 0 1rem; }
+    .catalog-fields label { display: block; font-size: 0.7rem; letter-spacing: 0.1em; text-transform: uppercase; color: var(--text-secondary); margin-bottom: 0.3rem; }
+    .catalog-fields .catalog-wide { grid-column: 1 / -1; }
+    #catalogModal .modal-content { max-height: 90vh; overflow-y: auto; }
+    .modal-content .checkbox input { width: auto; margin: 0; }
     .modal-content .btn-row { display: flex; gap: 1rem; justify-content: flex-end; }
     .modal-content .btn-cancel { background: var(--border); color: var(--text-primary); }
     .modal-content .btn-submit { background: var(--accent); color: var(--bg-primary); }
     
+    .btn-regenerate { background: var(--border); color: var(--text-primary); }
+    .btn-regenerate:hover { background: #3a3a3a; }
+    .btn-crop { background: var(--border); color: var(--text-primary); }
+    .btn-crop:hover { background: #3a3a3a; }
+    .btn-alternates { background: var(--border); color: var(--text-primary); }
+    .btn-alternates:hover { background: #3a3a3a; }
+    .alternates-content { max-width: 900px; }
+    .alternates-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; margin: 1rem 0; }
+    .alternate { margin: 0; }
+    .alternate img { width: 100%; aspect-ratio: 1; object-fit: cover; border-radius: 8px; cursor: zoom-in; display: block; }
+    .alternate figcaption { font-size: 0.75rem; color: var(--text-secondary); margin-top: 0.4rem; }
+    .variant-select { padding: 0.5rem; background: var(--bg-primary); border: 1px solid var(--border); border-radius: 6px; color: var(--text-primary); font-size: 0.75rem; }
+    .crop-body { display: flex; gap: 1rem; align-items: flex-start; margin-bottom: 1rem; }
+    .crop-source { position: relative; flex: 1; cursor: crosshair; }
+    .crop-source img { width: 100%; display: block; border-radius: 6px; }
+    .crop-marker { position: absolute; width: 16px; height: 16px; margin: -8px 0 0 -8px; border: 2px solid var(--accent); border-radius: 50%; pointer-events: none; display: none; }
+    .crop-preview { flex: 1; max-width: 45%; max-height: 320px; object-fit: contain; border-radius: 6px; background: var(--bg-primary); }
     .btn-instagram { background: var(--instagram); color: white; }
     .btn-instagram:hover { background: var(--instagram-hover); }
     .btn-instagram.posting { opacity: 0.7; cursor: wait; }
     .btn-instagram.posted { background: var(--success); }
     
+    .failures {
+      max-width: 1400px;
+      margin: 0 auto 1rem;
+      padding: 1.5rem 2rem;
+      background: var(--bg-secondary);
+      border: 1px solid var(--error);
+      border-radius: 10px;
+    }
+    .failures-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; }
+    .failures-header h3 { font-family: 'Cormorant Garamond', serif; font-size: 1.5rem; color: var(--error); }
+    .failure { display: flex; gap: 1rem; align-items: center; padding: 0.6rem 0; border-top: 1px solid var(--border); font-size: 0.8rem; }
+    .failure-class { background: var(--error); color: white; font-size: 0.65rem; letter-spacing: 0.1em; text-transform: uppercase; padding: 0.3rem 0.6rem; border-radius: 4px; white-space: nowrap; }
+    .failure-style { color: var(--accent); text-transform: capitalize; white-space: nowrap; }
+    .failure-message { color: var(--text-secondary); flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .failure-date { color: var(--text-secondary); opacity: 0.6; font-size: 0.7rem; white-space: nowrap; }
+    
     .date { font-size: 0.7rem; color: var(--text-secondary); margin-top: 1rem; opacity: 0.6; }
     
     .empty-state { text-align: center; padding: 6rem 2rem; color: var(--text-secondary); }
@@ -1136,19 +1311,19 @@ app.get('/', async (req, res) => {
     
     <div class="stats">
       <div class="stat">
-        <div class="stat-value">${galleryData.images.length}</div>
+        <div class="stat-value">${stats.total}</div>
         <div class="stat-label">Total Images</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${new Set(galleryData.images.map(i => i.hijabStyle)).size}</div>
+        <div class="stat-value">${stats.styles}</div>
         <div class="stat-label">Hijab Styles</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${galleryData.images.filter(i => i.postedToInstagram).length}</div>
+        <div class="stat-value">${stats.posted}</div>
         <div class="stat-label">Posted to IG</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${galleryData.images.filter(i => i.favorited).length}</div>
+        <div class="stat-value">${stats.favorited}</div>
         <div class="stat-label">Favorites</div>
       </div>
     </div>
@@ -1167,6 +1342,7 @@ app.get('/', async (req, res) => {
           <option value="__random__">Random</option>
           ${hijabFolders.map(folder => `<option value="${escapeHtml(folder)}">${escapeHtml(folder.replace(/_/g, ' '))}</option>`).join('')}
         </select>
+        <small><a class="catalog-link" onclick="showCatalogModal()">📦 Edit product catalog</a></small>
       </div>
       <div class="field">
         <label for="gen-color">Or Hijab Color</label>
@@ -1186,17 +1362,52 @@ app.get('/', async (req, res) => {
         </div>
         <small>Select up to 3 images. Leave blank for random.</small>
       </div>
+      ${personas.length > 0 ? `
+      <div class="field field-wide">
+        <label>Model Persona</label>
+        <div id="persona-grid" class="style-grid">
+          <label class="style-item selected">
+            <input type="radio" name="gen-model-ref" value="" checked>
+            <div class="persona-none">New face</div>
+            <span>None</span>
+          </label>
+          ${personas.map(p => `
+            <label class="style-item" title="${escapeHtml(p.portraits.join(', '))}">
+              <input type="radio" name="gen-model-ref" value="${escapeHtml(p.name)}">
+              <img src="/model-input/${encodeURIComponent(p.name)}/${encodeURIComponent(p.portraits[0])}" alt="${escapeHtml(p.name)}">
+              <span>${escapeHtml(p.name)} (${p.portraits.length})</span>
+            </label>
+          `).join('')}
+        </div>
+        <small>Folders in model_input/. Keeps the same face across images (Gemini, OpenAI and Mock only).</small>
+      </div>
+      ` : ''}
       <div class="field">
         <label for="gen-provider">Provider</label>
         <select id="gen-provider">
-          <option value="gemini">gemini</option>
-          <option value="openai">openai</option>
+          ${providers.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}${isProviderConfigured(p) ? '' : ' (no ' + escapeHtml(p.envKey) + ')'}</option>`).join('')}
         </select>
       </div>
       <div class="field">
         <label for="gen-model">Model (optional)</label>
         <input id="gen-model" type="text" placeholder="gemini-3-pro-image-preview">
       </div>
+      <div class="field">
+        <label for="gen-template">Prompt Template</label>
+        <select id="gen-template">
+          <option value="">Automatic (amazon in Amazon Mode)</option>
+          ${promptTemplates.map(t => `<option value="${escapeHtml(t.name)}" title="${escapeHtml(t.description)}">${escapeHtml(t.name)} (v${t.version})</option>`).join('')}
+        </select>
+        <small>Files in prompt_templates/. Ignored when a custom prompt is set.</small>
+      </div>
+      <div class="field">
+        <label for="gen-scene">Scene</label>
+        <select id="gen-scene">
+          <option value="">None (from the style images)</option>
+          ${scenes.map(s => `<option value="${escapeHtml(s.name)}" title="${escapeHtml(s.description)}">${escapeHtml(s.name)} (v${s.version}${s.backgrounds > 0 ? ', ' + s.backgrounds + ' backgrounds' : ''})</option>`).join('')}
+        </select>
+        <small>Files in scene_presets/. Added to the prompt; not with Amazon Mode.</small>
+      </div>
       <div class="field field-wide">
         <label for="gen-prompt">Custom Prompt (optional)</label>
         <textarea id="gen-prompt" rows="4" placeholder="Override the default prompt..."></textarea>
@@ -1206,6 +1417,16 @@ app.get('/', async (req, res) => {
         <label for="gen-count">Count</label>
         <input id="gen-count" type="number" min="1" max="10" value="1">
       </div>
+      <div class="field">
+        <label for="gen-concurrency">Concurrency</label>
+        <input id="gen-concurrency" type="number" min="1" max="8" value="1">
+        <small>Parallel requests per run when a hijab folder has several photos.</small>
+      </div>
+      <div class="field">
+        <label for="gen-candidates">Candidates</label>
+        <input id="gen-candidates" type="number" min="1" max="10" value="1">
+        <small>Images generated per photo; the best is kept and the rest saved as alternates.</small>
+      </div>
       <div class="field">
         <label class="checkbox">
           <input id="gen-amazon" type="checkbox">
@@ -1220,6 +1441,7 @@ app.get('/', async (req, res) => {
       </div>
     </div>
     <button class="btn btn-generate" onclick="generateImages()">Generate</button>
+    <div id="job-list" class="job-list"></div>
   </section>
   
   ${!instagramConnected && (!FB_APP_ID || !FB_APP_SECRET) ? `
@@ -1252,6 +1474,13 @@ app.get('/', async (req, res) => {
         <input type="checkbox" id="filter-liked-only" onchange="updateFilters()">
         <label for="filter-liked-only">Liked Only</label>
       </div>
+      ${duplicateGroups.length > 0 ? `
+      <div class="filter-checkbox">
+        <input type="checkbox" id="filter-duplicates-only" onchange="updateFilters()">
+        <label for="filter-duplicates-only">Lookalikes Only (${duplicateGroups.length} groups)</label>
+      </div>
+      <button class="btn btn-remove-lookalikes" onclick="removeLookalikes(this)" title="Delete all but one image per group: the one marked ★, else a liked one, else the oldest">Remove Lookalikes</button>
+      ` : ''}
       ${uniqueStyles.map(style => `
         <div class="filter-checkbox">
           <input type="checkbox" id="filter-${style.replace(/[^a-zA-Z0-9]/g, '-')}" class="style-filter" value="${escapeHtml(style)}" checked onchange="updateFilters()">
@@ -1262,17 +1491,34 @@ app.get('/', async (req, res) => {
   </div>
   ` : ''}
   
+  ${failures.length > 0 ? `
+  <section class="failures">
+    <div class="failures-header">
+      <h3>Recent Failures</h3>
+      <button class="btn-disconnect" onclick="clearFailures()">Clear</button>
+    </div>
+    ${failures.map(f => `
+      <div class="failure" title="${escapeHtml(f.message || '')}">
+        <span class="failure-class">${escapeHtml(ERROR_CLASS_LABELS[f.errorClass] || f.errorClass || 'Unknown error')}</span>
+        <span class="failure-style">${escapeHtml((f.hijabStyle || '').replace(/_/g, ' '))}</span>
+        <span class="failure-message">${escapeHtml(f.provider || '')}${f.attempts > 1 ? ' · ' + f.attempts + ' attempts' : ''} · ${escapeHtml(f.message || '')}</span>
+        <span class="failure-date">${new Date(f.createdAt).toLocaleString()}</span>
+      </div>
+    `).join('')}
+  </section>
+  ` : ''}
+  
   <main class="gallery">
-    ${galleryData.images.length === 0 ? `
+    ${images.length === 0 ? `
       <div class="empty-state" style="grid-column: 1 / -1;">
         <h2>No Images Yet</h2>
         <p>Run the image generation script to create your first hijab style photos.</p>
         <p style="margin-top: 1rem;"><code>IMAGE_PROVIDER=gemini npm start</code></p>
       </div>
-    ` : galleryData.images.map(img => `
-      <div class="card" data-id="${img.id}" data-hijab-style="${escapeHtml(img.hijabStyle)}" data-favorited="${img.favorited ? 'true' : 'false'}">
+    ` : images.map(img => `
+      <div class="card" data-id="${img.id}" data-hijab-style="${escapeHtml(img.hijabStyle)}" data-favorited="${img.favorited ? 'true' : 'false'}" data-duplicate-group="${duplicateGroupOf.has(img.id) ? duplicateGroupOf.get(img.id).group : ''}">
         <div class="card-image-wrapper">
-          <img class="card-image" src="/images/${img.filename}" alt="${img.hijabStyle} hijab style" loading="lazy">
+          <img class="card-image" src="/thumbs/thumb/${encodeURIComponent(img.filename)}" srcset="/thumbs/thumb/${encodeURIComponent(img.filename)} ${THUMBNAIL_SIZES.thumb}w, /thumbs/medium/${encodeURIComponent(img.filename)} ${THUMBNAIL_SIZES.medium}w" sizes="(max-width: 768px) 100vw, 480px" alt="${img.hijabStyle} hijab style" loading="lazy" data-filename="${escapeHtml(img.filename)}" onclick="showLightbox(this.dataset.filename)">
           <div class="card-overlay">
             <button class="btn-heart ${img.favorited ? 'active' : ''}" onclick="toggleFavorite(this, ${img.id})">
               ${img.favorited ? '❤️' : '🤍'}
@@ -1280,6 +1526,7 @@ app.get('/', async (req, res) => {
             <button class="btn-delete" onclick="deleteImage(this, ${img.id})">
               🗑️
             </button>
+            ${duplicateGroupOf.has(img.id) ? `<button class="btn-keep" onclick="keepInGroup(this)" title="Keep this one when removing lookalikes">★</button>` : ''}
           </div>
         </div>
         <div class="card-content">
@@ -1288,9 +1535,20 @@ app.get('/', async (req, res) => {
             <div class="badges">
               ${img.favorited ? '<span class="fav-badge">❤️</span>' : ''}
               <span class="provider-badge">${img.provider || 'openai'}</span>
+              ${img.template ? `<span class="provider-badge" title="Prompt template">${escapeHtml(img.template)} v${img.templateVersion}</span>` : ''}
+              ${img.scene ? `<span class="provider-badge" title="Scene preset">🏞 ${escapeHtml(img.scene)} v${img.sceneVersion}</span>` : ''}
+              ${img.modelRef ? `<span class="provider-badge" title="Model persona">👤 ${escapeHtml(img.modelRef)}</span>` : ''}
               ${img.postedToInstagram ? '<span class="posted-badge">Posted</span>' : ''}
+              ${img.colorMatch ? `<span class="provider-badge color-badge${img.colorMatch.score < DEFAULT_MIN_COLOR_SCORE ? ' color-low' : ''}" title="Hijab color match: wanted ${escapeHtml(img.colorMatch.target)}, found ${escapeHtml(img.colorMatch.detected)}"><i class="color-swatch" style="background:${escapeHtml(img.colorMatch.target)}"></i><i class="color-swatch" style="background:${escapeHtml(img.colorMatch.detected)}"></i>${img.colorMatch.score}</span>` : ''}
+              ${duplicateGroupOf.has(img.id) ? `<span class="provider-badge dup-badge" title="Looks almost the same as ${duplicateGroupOf.get(img.id).size - 1} other image(s)">≈ Group ${duplicateGroupOf.get(img.id).group}</span>` : ''}
             </div>
           </div>
+          ${catalog[img.hijabStyle] ? `
+          <div class="product-line" title="From hijab_input/${escapeHtml(img.hijabStyle)}/product.json">
+            <span>📦 ${escapeHtml([catalog[img.hijabStyle].title, catalog[img.hijabStyle].price, catalog[img.hijabStyle].sku].filter(Boolean).join(' · '))}</span>
+            ${catalog[img.hijabStyle].shopLink ? `<a href="${escapeHtml(catalog[img.hijabStyle].shopLink)}" target="_blank" rel="noopener">Shop ↗</a>` : ''}
+          </div>
+          ` : ''}
           <div class="caption-wrapper">
             <p class="caption" id="caption-${img.id}">${escapeHtml(img.caption)}</p>
             <textarea class="caption-edit" id="caption-edit-${img.id}" style="display:none;">${escapeHtml(img.caption)}</textarea>
@@ -1308,11 +1566,24 @@ app.get('/', async (req, res) => {
             <button class="btn btn-copy" onclick="copyCaption(this, \`${escapeForJs(img.caption)}\`)">
               Copy Caption
             </button>
-            <a class="btn btn-download" href="/images/${img.filename}" download="${img.filename}">
+            <a class="btn btn-download" href="/api/image/${img.id}/download" onclick="this.href = downloadUrl(${img.id})">
               ↓ Download
             </a>
             ${isMac ? `<button class="btn btn-finder" onclick="revealInFinder(this, ${img.id})" title="Reveal in Finder">📂 Finder</button>` : ''}
-            <button class="btn btn-instagram" onclick="postToInstagram(this, ${img.id}, '${img.filename}', \`${escapeForJs(img.caption)}\`)">
+            <button class="btn btn-regenerate" data-provider="${escapeHtml(img.provider || '')}" onclick="showRegenerateModal(${img.id}, this.dataset.provider)" title="Generate again with the same inputs">↻ Regenerate</button>
+            <button class="btn btn-crop" data-filename="${escapeHtml(img.filename)}" onclick="showCropModal(${img.id}, this.dataset.filename)" title="Adjust Instagram crops">✂︎ Crop</button>
+            ${img.alternates.length > 0 ? `<button class="btn btn-alternates" onclick="showAlternates(${img.id})" title="Other candidates generated with this image">⧉ ${img.alternates.length} Alternates</button>` : ''}
+            ${watermarks.length > 0 ? `
+            <select class="variant-select watermark-select" id="watermark-${img.id}" title="Watermark for Download and Post to IG" onchange="saveWatermarkChoice(this.value)">
+              <option value="">No watermark</option>
+              ${watermarks.map(w => `<option value="${escapeHtml(w.name)}" title="${escapeHtml(w.description)}">💧 ${escapeHtml(w.name)}</option>`).join('')}
+            </select>
+            ` : ''}
+            <select class="variant-select" id="variant-${img.id}" title="Format to post">
+              ${variantOptions}
+              <option value="original">Original</option>
+            </select>
+            <button class="btn btn-instagram" onclick="postToInstagram(this, ${img.id}, \`${escapeForJs(img.caption)}\`)">
               Post to IG
             </button>
           </div>
@@ -1337,14 +1608,126 @@ app.get('/', async (req, res) => {
     </div>
   </div>
 
+  <!-- Instagram Crop Modal -->
+  <div id="cropModal" class="modal">
+    <div class="modal-content">
+      <h3>✂︎ Instagram Crop</h3>
+      <p>Pick a format and crop focus, or click the image to set the focus point yourself.</p>
+      <select id="crop-variant" onchange="updateCropPreview()">
+        ${Object.entries(INSTAGRAM_VARIANTS).map(([name, spec]) => `<option value="${name}">${escapeHtml(spec.label)}</option>`).join('')}
+      </select>
+      <select id="crop-focus" onchange="cropFocusPoint = null; updateCropMarker()">
+        <option value="smart">Smart (detect subject)</option>
+        <option value="center">Center</option>
+        <option value="top">Top</option>
+        <option value="bottom">Bottom</option>
+        <option value="left">Left</option>
+        <option value="right">Right</option>
+        <option value="custom" disabled>Custom point</option>
+      </select>
+      <div class="crop-body">
+        <div class="crop-source" onclick="setCropFocusPoint(event)">
+          <img id="crop-source-img" alt="Original">
+          <span id="crop-marker" class="crop-marker"></span>
+        </div>
+        <img id="crop-preview" class="crop-preview" alt="Variant preview">
+      </div>
+      <div class="btn-row">
+        <button class="btn btn-cancel" onclick="hideCropModal()">Close</button>
+        <button class="btn btn-submit" onclick="applyCrop()">Apply Crop</button>
+      </div>
+    </div>
+  </div>
+
+  <!-- Runner-up candidates of an image -->
+  <div id="alternatesModal" class="modal">
+    <div class="modal-content alternates-content">
+      <h3>⧉ Alternates</h3>
+      <p>The other candidates generated with this image, best first. Click one to view it full size.</p>
+      <div id="alternates-grid" class="alternates-grid"></div>
+      <div class="btn-row">
+        <button class="btn btn-cancel" onclick="hideAlternates()">Close</button>
+      </div>
+    </div>
+  </div>
+  
+  <!-- Full-size image -->
+  <div id="lightboxModal" class="modal lightbox" onclick="hideLightbox()">
+    <img id="lightbox-img" alt="Full size image">
+  </div>
+
+  <!-- Product Catalog Modal -->
+  <div id="catalogModal" class="modal">
+    <div class="modal-content">
+      <h3>📦 Product Catalog</h3>
+      <p>Saved as product.json in the hijab folder. Added to prompts and captions and shown on cards.</p>
+      <select id="catalog-folder" onchange="fillCatalogForm()">
+        ${hijabFolders.map(folder => `<option value="${escapeHtml(folder)}">${escapeHtml(folder.replace(/_/g, ' '))}</option>`).join('')}
+      </select>
+      <div class="catalog-fields">
+        <div><label for="catalog-title">Title</label><input id="catalog-title" type="text"></div>
+        <div><label for="catalog-sku">SKU</label><input id="catalog-sku" type="text"></div>
+        <div><label for="catalog-price">Price</label><input id="catalog-price" type="text" placeholder="e.g. $29.99"></div>
+        <div><label for="catalog-fabric">Fabric</label><input id="catalog-fabric" type="text" placeholder="e.g. chiffon"></div>
+        <div><label for="catalog-colors">Colors</label><input id="catalog-colors" type="text" placeholder="Comma separated"></div>
+        <div><label for="catalog-tags">Tags</label><input id="catalog-tags" type="text" placeholder="Comma separated, without #"></div>
+        <div class="catalog-wide"><label for="catalog-shopLink">Shop Link</label><input id="catalog-shopLink" type="url" placeholder="https://..."></div>
+      </div>
+      <div class="btn-row">
+        <button class="btn btn-cancel" onclick="hideCatalogModal()">Close</button>
+        <button class="btn btn-submit" onclick="saveCatalogProduct()">Save Product</button>
+      </div>
+      <h3>Import CSV</h3>
+      <p>A header row with folder and any of title, sku, price, fabric, colors, shop_link, tags. Colors and tags may be separated by ";" or "|".</p>
+      <input id="catalog-csv-file" type="file" accept=".csv,text/csv" onchange="loadCatalogCsvFile(this)">
+      <textarea id="catalog-csv" rows="5" placeholder="folder,title,sku,price"></textarea>
+      <div class="btn-row">
+        <button class="btn btn-submit" onclick="submitCatalogCsv()">Import</button>
+      </div>
+    </div>
+  </div>
+
+  <!-- Regenerate Modal -->
+  <div id="regenerateModal" class="modal">
+    <div class="modal-content">
+      <h3>↻ Regenerate</h3>
+      <p>Queues one run with the same hijab photo, style images, prompt and settings as this image.</p>
+      <select id="regenerate-provider">
+        ${providers.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}${isProviderConfigured(p) ? '' : ' (no ' + escapeHtml(p.envKey) + ')'}</option>`).join('')}
+      </select>
+      <label class="checkbox">
+        <input id="regenerate-new-seed" type="checkbox">
+        Use a new seed
+      </label>
+      <div class="btn-row">
+        <button class="btn btn-cancel" onclick="hideRegenerateModal()">Cancel</button>
+        <button class="btn btn-submit" onclick="submitRegenerate()">Regenerate</button>
+      </div>
+    </div>
+  </div>
+
   <script>
     function getSelectedStyleImages() {
       const checked = document.querySelectorAll('#style-grid input[type="checkbox"]:checked');
       return Array.from(checked).map(i => i.value).filter(Boolean);
     }
     
+    function getSelectedPersona() {
+      const checked = document.querySelector('#persona-grid input[type="radio"]:checked');
+      return checked ? checked.value : '';
+    }
+    
+    function selectPersona(value) {
+      document.querySelectorAll('#persona-grid input[type="radio"]').forEach(input => {
+        input.checked = input.value === value;
+        input.closest('.style-item').classList.toggle('selected', input.checked);
+      });
+    }
+    
+    const PROVIDER_MODELS = ${JSON.stringify(providerModels)};
+    
     function defaultModelForProvider(provider) {
-      return provider === 'openai' ? 'gpt-image-1' : 'gemini-3-pro-image-preview';
+      return PROVIDER_MODELS[provider] || '';
     }
     
     function renderPromptHistory(prompts) {
@@ -1403,6 +1786,8 @@ app.get('/', async (req, res) => {
       const amazonInput = document.getElementById('gen-amazon');
       const captionInput = document.getElementById('gen-caption');
       const promptInput = document.getElementById('gen-prompt');
+      const templateSelect = document.getElementById('gen-template');
+      const sceneSelect = document.getElementById('gen-scene');
       if (hijabSelect && prefs.hijabFolder !== undefined) {
         hijabSelect.value = prefs.hijabFolder;
       }
@@ -1418,6 +1803,15 @@ app.get('/', async (req, res) => {
       if (promptInput && prefs.prompt !== undefined) {
         promptInput.value = prefs.prompt;
       }
+      if (templateSelect && prefs.template !== undefined) {
+        templateSelect.value = prefs.template;
+      }
+      if (sceneSelect && prefs.scene !== undefined && sceneSelect.querySelector('option[value="' + prefs.scene + '"]')) {
+        sceneSelect.value = prefs.scene;
+      }
+      if (prefs.modelRef && document.querySelector('#persona-grid input[value="' + prefs.modelRef + '"]')) {
+        selectPersona(prefs.modelRef);
+      }
     }
     
     async function generateImages() {
@@ -1426,10 +1820,15 @@ app.get('/', async (req, res) => {
       const provider = document.getElementById('gen-provider').value;
       const model = document.getElementById('gen-model').value.trim();
       const prompt = document.getElementById('gen-prompt').value.trim();
+      const template = document.getElementById('gen-template').value;
+      const scene = document.getElementById('gen-scene').value;
+      const modelRef = getSelectedPersona();
       const styleImages = getSelectedStyleImages();
       const amazon = document.getElementById('gen-amazon').checked;
       const caption = document.getElementById('gen-caption').checked;
       const count = parseInt(document.getElementById('gen-count').value, 10) || 1;
+      const concurrency = parseInt(document.getElementById('gen-concurrency').value, 10) || 1;
+      const candidates = parseInt(document.getElementById('gen-candidates').value, 10) || 1;
       
       if (!color && !hijabFolder) {
         showToast('Select a hijab or choose Random, or enter a color', 'error');
@@ -1439,15 +1838,63 @@ app.get('/', async (req, res) => {
         showToast('Select up to 3 style images', 'error');
         return;
       }
+      if (scene && amazon) {
+        showToast('Scenes cannot be used with Amazon Mode, which needs a white background', 'error');
+        return;
+      }
       
       saveGenerationPrefs({
         hijabFolder,
         color,
         prompt,
+        template,
+        scene,
+        modelRef,
         amazon,
         caption
       });
       
+      const placeholders = addPlaceholderCards(count);
+      
+      try {
+        const response = await fetch('/api/generate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            hijabFolder,
+            color,
+            provider,
+            model,
+            prompt,
+            template,
+            scene,
+            modelRef,
+            styleImages,
+            amazon,
+            caption,
+            count,
+            concurrency,
+            candidates
+          })
+        });
+        
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        
+        if (prompt) {
+          fetchPromptHistory();
+        }
+        jobPlaceholders[data.jobId] = placeholders.reverse();
+        renderJob(data.job);
+        showToast('Generation queued', 'success');
+      } catch (error) {
+        placeholders.forEach(p => p.remove());
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    // Loading cards at the top of the gallery, one per queued run
+    function addPlaceholderCards(count) {
       const grid = document.querySelector('.gallery');
       const placeholders = [];
       if (grid) {
@@ -1465,39 +1912,430 @@ app.get('/', async (req, res) => {
           placeholders.push(card);
         }
       }
+      return placeholders;
+    }
+    
+    // URL of a file in output_folder, which may be in a subfolder (alternates/...)
+    function imageUrl(filename) {
+      return '/images/' + filename.split('/').map(encodeURIComponent).join('/');
+    }
+    
+    function showLightbox(filename) {
+      document.getElementById('lightbox-img').src = imageUrl(filename);
+      document.getElementById('lightboxModal').classList.add('show');
+    }
+    
+    function hideLightbox() {
+      document.getElementById('lightboxModal').classList.remove('show');
+      document.getElementById('lightbox-img').removeAttribute('src');
+    }
+    
+    function describeAlternate(alternate) {
+      const checks = alternate.checks || {};
+      const parts = ['#' + alternate.rank];
+      if (checks.colorMatch) parts.push('Color ' + checks.colorMatch.score);
+      if (checks.duplicateOf) parts.push('Lookalike of ' + checks.duplicateOf);
+      if (checks.seed !== undefined && checks.seed !== null) parts.push('Seed ' + checks.seed);
+      return parts.join(' · ');
+    }
+    
+    async function showAlternates(imageId) {
+      const grid = document.getElementById('alternates-grid');
+      grid.innerHTML = '';
+      try {
+        const response = await fetch('/api/image/' + imageId + '/alternates');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        
+        for (const alternate of data.alternates) {
+          const item = document.createElement('figure');
+          item.className = 'alternate';
+          const img = document.createElement('img');
+          img.src = imageUrl(alternate.filename);
+          img.alt = 'Alternate ' + alternate.rank;
+          img.loading = 'lazy';
+          img.onclick = () => showLightbox(alternate.filename);
+          const caption = document.createElement('figcaption');
+          caption.textContent = describeAlternate(alternate);
+          item.appendChild(img);
+          item.appendChild(caption);
+          grid.appendChild(item);
+        }
+        document.getElementById('alternatesModal').classList.add('show');
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    function hideAlternates() {
+      document.getElementById('alternatesModal').classList.remove('show');
+      document.getElementById('alternates-grid').innerHTML = '';
+    }
+    
+    let cropImageId = null;
+    let cropImageFilename = null;
+    let cropFocusPoint = null;
+    
+    function variantUrl(filename, variant) {
+      const base = filename.slice(0, filename.lastIndexOf('.'));
+      return '/images/variants/' + encodeURIComponent(base + '_' + variant + '.jpg') + '?t=' + Date.now();
+    }
+    
+    function showCropModal(imageId, filename) {
+      cropImageId = imageId;
+      cropImageFilename = filename;
+      cropFocusPoint = null;
+      const cardSelect = document.getElementById('variant-' + imageId);
+      const variantSelect = document.getElementById('crop-variant');
+      if (cardSelect && cardSelect.value !== 'original') {
+        variantSelect.value = cardSelect.value;
+      }
+      document.getElementById('crop-focus').value = 'smart';
+      document.getElementById('crop-source-img').src = '/thumbs/medium/' + encodeURIComponent(filename);
+      updateCropMarker();
+      updateCropPreview();
+      document.getElementById('cropModal').classList.add('show');
+    }
+    
+    function hideCropModal() {
+      document.getElementById('cropModal').classList.remove('show');
+      cropImageId = null;
+    }
+    
+    function updateCropPreview() {
+      const preview = document.getElementById('crop-preview');
+      preview.style.visibility = 'visible';
+      preview.onerror = () => { preview.style.visibility = 'hidden'; };
+      preview.src = variantUrl(cropImageFilename, document.getElementById('crop-variant').value);
+    }
+    
+    function setCropFocusPoint(event) {
+      const img = document.getElementById('crop-source-img');
+      const rect = img.getBoundingClientRect();
+      cropFocusPoint = {
+        x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+      };
+      document.getElementById('crop-focus').value = 'custom';
+      updateCropMarker();
+    }
+    
+    function updateCropMarker() {
+      const marker = document.getElementById('crop-marker');
+      if (!cropFocusPoint) {
+        marker.style.display = 'none';
+        return;
+      }
+      marker.style.display = 'block';
+      marker.style.left = (cropFocusPoint.x * 100) + '%';
+      marker.style.top = (cropFocusPoint.y * 100) + '%';
+    }
+    
+    async function applyCrop() {
+      const variant = document.getElementById('crop-variant').value;
+      const focusValue = document.getElementById('crop-focus').value;
+      const focus = focusValue === 'custom' ? cropFocusPoint : focusValue;
+      try {
+        const response = await fetch('/api/image/' + cropImageId + '/variants/' + variant, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ focus })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        updateCropPreview();
+        const cardSelect = document.getElementById('variant-' + cropImageId);
+        if (cardSelect) cardSelect.value = variant;
+        showToast('Crop saved', 'success');
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    let regenerateImageId = null;
+    
+    function showRegenerateModal(imageId, provider) {
+      regenerateImageId = imageId;
+      const select = document.getElementById('regenerate-provider');
+      if (provider && Array.from(select.options).some(o => o.value === provider)) {
+        select.value = provider;
+      }
+      document.getElementById('regenerate-new-seed').checked = false;
+      document.getElementById('regenerateModal').classList.add('show');
+    }
+    
+    function hideRegenerateModal() {
+      document.getElementById('regenerateModal').classList.remove('show');
+      regenerateImageId = null;
+    }
+    
+    async function submitRegenerate() {
+      const imageId = regenerateImageId;
+      const provider = document.getElementById('regenerate-provider').value;
+      const newSeed = document.getElementById('regenerate-new-seed').checked;
+      hideRegenerateModal();
       
+      const placeholders = addPlaceholderCards(1);
       try {
-        const response = await fetch('/api/generate', {
+        const response = await fetch('/api/image/' + imageId + '/regenerate', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            hijabFolder,
-            color,
-            provider,
-            model,
-            prompt,
-            styleImages,
-            amazon,
-            caption,
-            count
-          })
+          body: JSON.stringify({ provider, newSeed })
         });
         
         const data = await response.json();
         if (data.error) throw new Error(data.error);
         
-        if (prompt) {
-          fetchPromptHistory();
-        }
-        showToast('Generation started. Refreshing gallery...', 'success');
-        setTimeout(() => location.reload(), 1500);
+        jobPlaceholders[data.jobId] = placeholders;
+        renderJob(data.job);
+        showToast('Regeneration queued', 'success');
       } catch (error) {
         placeholders.forEach(p => p.remove());
         showToast('Error: ' + error.message, 'error');
       }
     }
     
+    const CATALOG_FIELDS = ['title', 'sku', 'price', 'fabric', 'colors', 'shopLink', 'tags'];
+    let catalog = {};
+    
+    async function loadCatalog() {
+      const response = await fetch('/api/catalog');
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+      catalog = data.catalog;
+    }
+    
+    async function showCatalogModal() {
+      try {
+        await loadCatalog();
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+        return;
+      }
+      const folder = document.getElementById('gen-hijab').value;
+      const select = document.getElementById('catalog-folder');
+      if (Array.from(select.options).some(o => o.value === folder)) {
+        select.value = folder;
+      }
+      fillCatalogForm();
+      document.getElementById('catalogModal').classList.add('show');
+    }
+    
+    function hideCatalogModal() {
+      document.getElementById('catalogModal').classList.remove('show');
+    }
+    
+    function fillCatalogForm() {
+      const product = catalog[document.getElementById('catalog-folder').value] || {};
+      CATALOG_FIELDS.forEach(field => {
+        const value = product[field] || '';
+        document.getElementById('catalog-' + field).value = Array.isArray(value) ? value.join(', ') : value;
+      });
+    }
+    
+    async function saveCatalogProduct() {
+      const folder = document.getElementById('catalog-folder').value;
+      if (!folder) {
+        showToast('Add a hijab folder first', 'error');
+        return;
+      }
+      const product = {};
+      CATALOG_FIELDS.forEach(field => {
+        product[field] = document.getElementById('catalog-' + field).value;
+      });
+      try {
+        const response = await fetch('/api/catalog/' + encodeURIComponent(folder), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(product)
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        catalog[folder] = data.product;
+        fillCatalogForm();
+        showToast('Product saved', 'success');
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    function loadCatalogCsvFile(input) {
+      const file = input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        document.getElementById('catalog-csv').value = reader.result;
+      };
+      reader.readAsText(file);
+    }
+    
+    async function submitCatalogCsv() {
+      const csv = document.getElementById('catalog-csv').value;
+      if (!csv.trim()) {
+        showToast('Paste or choose a CSV file first', 'error');
+        return;
+      }
+      try {
+        const response = await fetch('/api/catalog/import', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ csv })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        catalog = data.catalog;
+        fillCatalogForm();
+        const skipped = data.skipped.map(row => (row.folder || '(no folder)') + ': ' + row.reason);
+        showToast('Imported ' + data.imported.length + ' product(s)' + (skipped.length > 0 ? '. Skipped ' + skipped.join('; ') : ''), skipped.length > 0 ? 'error' : 'success');
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    // Placeholder cards for jobs started from this page, one per run
+    const jobPlaceholders = {};
+    const RUN_STATUS_TEXT = { queued: 'Queued', running: 'Generating', done: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+    const MAX_JOBS_SHOWN = 5;
+    
+    function jobLabel(job) {
+      const req = job.request || {};
+      let subject = 'Random hijab';
+      if (req.color) {
+        subject = req.color;
+      } else if (req.hijabFolder && req.hijabFolder !== '__random__') {
+        subject = req.hijabFolder.replace(/_/g, ' ');
+      }
+      const runs = job.runs.length + (job.runs.length === 1 ? ' run' : ' runs');
+      return subject + (req.scene ? ' in ' + req.scene : '') + ' · ' + (req.provider || 'default provider') + ' · ' + runs;
+    }
+    
+    function renderJob(job) {
+      const list = document.getElementById('job-list');
+      if (list) {
+        let row = document.getElementById('job-' + job.id);
+        if (!row) {
+          row = document.createElement('div');
+          row.id = 'job-' + job.id;
+          list.prepend(row);
+          while (list.children.length > MAX_JOBS_SHOWN) {
+            list.lastElementChild.remove();
+          }
+        }
+        row.className = 'job ' + job.status;
+        row.innerHTML = '';
+        
+        const label = document.createElement('span');
+        label.className = 'job-label';
+        label.textContent = jobLabel(job);
+        
+        const runs = document.createElement('span');
+        runs.className = 'job-runs';
+        job.runs.forEach(run => {
+          const chip = document.createElement('span');
+          chip.className = 'run-chip ' + run.status;
+          chip.textContent = run.index + 1;
+          chip.title = 'Run ' + (run.index + 1) + ': ' + run.status + (run.error ? ' - ' + run.error : '');
+          runs.appendChild(chip);
+        });
+        
+        const status = document.createElement('span');
+        status.className = 'job-status ' + job.status;
+        status.textContent = job.status;
+        
+        row.append(label, runs, status);
+        
+        if (job.status === 'queued' || job.status === 'running') {
+          const cancel = document.createElement('button');
+          cancel.type = 'button';
+          cancel.className = 'btn-cancel-job';
+          cancel.textContent = 'Cancel';
+          cancel.addEventListener('click', () => cancelJob(cancel, job.id));
+          row.appendChild(cancel);
+        }
+      }
+      updateJobPlaceholders(job);
+    }
+    
+    function updateJobPlaceholders(job) {
+      const cards = jobPlaceholders[job.id];
+      if (!cards) return;
+      
+      job.runs.forEach((run, i) => {
+        const card = cards[i];
+        if (!card) return;
+        const text = card.querySelector('.loading-text');
+        if (text) text.textContent = RUN_STATUS_TEXT[run.status] || run.status;
+        if (run.status === 'failed') {
+          card.classList.add('failed');
+          card.title = run.error || '';
+        }
+      });
+      
+      if (job.status === 'cancelled') {
+        delete jobPlaceholders[job.id];
+        cards.forEach(card => card.remove());
+        const finished = job.runs.filter(r => r.status === 'done').length;
+        showToast('Job cancelled' + (finished > 0 ? '. Refreshing gallery...' : ''), 'success');
+        if (finished > 0) {
+          setTimeout(() => location.reload(), 1500);
+        }
+      } else if (job.status === 'done' || job.status === 'failed') {
+        delete jobPlaceholders[job.id];
+        const succeeded = job.runs.filter(r => r.status === 'done').length;
+        if (succeeded > 0) {
+          showToast(succeeded + ' of ' + job.runs.length + ' runs finished. Refreshing gallery...', job.status === 'done' ? 'success' : 'error');
+          setTimeout(() => location.reload(), 1500);
+        } else {
+          const failedRun = job.runs.find(r => r.error);
+          showToast('Generation failed: ' + (failedRun ? failedRun.error : 'unknown error'), 'error');
+        }
+      }
+    }
+    
+    async function cancelJob(btn, jobId) {
+      btn.disabled = true;
+      try {
+        const res = await fetch('/api/jobs/' + encodeURIComponent(jobId) + '/cancel', { method: 'POST' });
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        renderJob(data.job);
+      } catch (error) {
+        btn.disabled = false;
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
+    async function watchJobs() {
+      try {
+        const res = await fetch('/api/jobs');
+        const data = await res.json();
+        if (Array.isArray(data.jobs)) {
+          data.jobs.slice(0, MAX_JOBS_SHOWN).reverse().forEach(renderJob);
+        }
+      } catch {
+        // ignore
+      }
+      
+      if (window.EventSource) {
+        const source = new EventSource('/api/jobs/events');
+        source.addEventListener('job', (e) => {
+          try {
+            renderJob(JSON.parse(e.data));
+          } catch {
+            // ignore
+          }
+        });
+      }
+    }
+    
     document.addEventListener('DOMContentLoaded', () => {
+      const savedWatermark = localStorage.getItem('watermarkPreset');
+      document.querySelectorAll('.watermark-select').forEach(select => {
+        if (savedWatermark && select.querySelector('option[value="' + savedWatermark + '"]')) {
+          select.value = savedWatermark;
+        }
+      });
+      
       const providerSelect = document.getElementById('gen-provider');
       const modelInput = document.getElementById('gen-model');
       if (providerSelect && modelInput && !modelInput.value) {
@@ -1509,6 +2347,11 @@ app.get('/', async (req, res) => {
         });
       }
       
+      const personaGrid = document.getElementById('persona-grid');
+      if (personaGrid) {
+        personaGrid.addEventListener('change', (e) => selectPersona(e.target.value));
+      }
+      
       const styleGrid = document.getElementById('style-grid');
       if (styleGrid) {
         styleGrid.addEventListener('change', (e) => {
@@ -1529,6 +2372,7 @@ app.get('/', async (req, res) => {
       
       applyGenerationPrefs(loadGenerationPrefs());
       fetchPromptHistory();
+      watchJobs();
     });
     
     function toggleShowAll() {
@@ -1547,6 +2391,9 @@ app.get('/', async (req, res) => {
       if (!showAllCheckbox) return; // Filters section might not exist if no images
       const likedOnlyCheckbox = document.getElementById('filter-liked-only');
       const likedOnly = likedOnlyCheckbox ? likedOnlyCheckbox.checked : false;
+      const duplicatesOnlyCheckbox = document.getElementById('filter-duplicates-only');
+      const duplicatesOnly = duplicatesOnlyCheckbox ? duplicatesOnlyCheckbox.checked : false;
+      document.body.classList.toggle('duplicates-view', duplicatesOnly);
       
       const styleFilters = document.querySelectorAll('.style-filter');
       const selectedStyles = Array.from(styleFilters)
@@ -1564,10 +2411,15 @@ app.get('/', async (req, res) => {
       cards.forEach(card => {
         const cardStyle = card.getAttribute('data-hijab-style');
         const isFavorited = card.getAttribute('data-favorited') === 'true';
+        const duplicateGroup = card.getAttribute('data-duplicate-group');
         const styleMatch = selectedStyles.length === 0 || selectedStyles.includes(cardStyle);
         const likedMatch = !likedOnly || isFavorited;
+        const duplicateMatch = !duplicatesOnly || !!duplicateGroup;
+        
+        // Lookalikes are shown next to each other, group by group
+        card.style.order = duplicatesOnly && duplicateGroup ? duplicateGroup : '';
         
-        if (styleMatch && likedMatch) {
+        if (styleMatch && likedMatch && duplicateMatch) {
           card.style.display = '';
           visibleCount++;
         } else {
@@ -1712,6 +2564,18 @@ app.get('/', async (req, res) => {
       }
     }
     
+    async function clearFailures() {
+      try {
+        const response = await fetch('/api/failures', { method: 'DELETE' });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        const panel = document.querySelector('.failures');
+        if (panel) panel.remove();
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
+    
     async function deleteImage(btn, imageId) {
       if (!confirm('Delete this image? This cannot be undone.')) return;
       
@@ -1732,6 +2596,53 @@ app.get('/', async (req, res) => {
       }
     }
     
+    function keepInGroup(btn) {
+      const card = btn.closest('.card');
+      const group = card.getAttribute('data-duplicate-group');
+      document.querySelectorAll('.card[data-duplicate-group="' + group + '"]').forEach(c => c.classList.remove('keep'));
+      card.classList.add('keep');
+    }
+    
+    // Delete all but one image of every visible lookalike group
+    async function removeLookalikes(btn) {
+      const groups = {};
+      document.querySelectorAll('.card[data-duplicate-group]').forEach(card => {
+        const group = card.getAttribute('data-duplicate-group');
+        if (!group || card.style.display === 'none') return;
+        (groups[group] = groups[group] || []).push(card);
+      });
+      
+      const toDelete = [];
+      Object.values(groups).forEach(cards => {
+        if (cards.length < 2) return;
+        const oldest = cards.reduce((a, b) => (Number(a.dataset.id) < Number(b.dataset.id) ? a : b));
+        const keeper = cards.find(c => c.classList.contains('keep')) ||
+          cards.find(c => c.getAttribute('data-favorited') === 'true') || oldest;
+        cards.forEach(c => { if (c !== keeper) toDelete.push(c); });
+      });
+      if (toDelete.length === 0) {
+        showToast('No lookalikes to remove');
+        return;
+      }
+      if (!confirm('Delete ' + toDelete.length + ' lookalike image(s), keeping one per group? This cannot be undone.')) return;
+      
+      btn.disabled = true;
+      let removed = 0;
+      for (const card of toDelete) {
+        try {
+          const response = await fetch('/api/image/' + card.dataset.id, { method: 'DELETE' });
+          const data = await response.json();
+          if (data.error) throw new Error(data.error);
+          card.remove();
+          removed++;
+        } catch (error) {
+          showToast('Error: ' + error.message, 'error');
+        }
+      }
+      btn.disabled = false;
+      showToast('Removed ' + removed + ' lookalike image(s)');
+    }
+    
     function showToast(message, type = 'success') {
       const toast = document.createElement('div');
       toast.className = 'toast ' + type;
@@ -1751,8 +2662,27 @@ app.get('/', async (req, res) => {
       });
     }
     
-    async function postToInstagram(btn, imageId, filename, caption) {
+    function selectedWatermark(imageId) {
+      const select = document.getElementById('watermark-' + imageId);
+      return select ? select.value : '';
+    }
+    
+    function downloadUrl(imageId) {
+      const watermark = selectedWatermark(imageId);
+      return '/api/image/' + imageId + '/download' + (watermark ? '?watermark=' + encodeURIComponent(watermark) : '');
+    }
+    
+    // One watermark choice for every card, remembered between visits
+    function saveWatermarkChoice(value) {
+      localStorage.setItem('watermarkPreset', value);
+      document.querySelectorAll('.watermark-select').forEach(select => { select.value = value; });
+    }
+    
+    async function postToInstagram(btn, imageId, caption) {
       if (btn.disabled) return;
+      const variantSelect = document.getElementById('variant-' + imageId);
+      const variant = variantSelect ? variantSelect.value : 'portrait';
+      const watermark = selectedWatermark(imageId);
       
       btn.disabled = true;
       btn.textContent = 'Posting...';
@@ -1762,7 +2692,7 @@ app.get('/', async (req, res) => {
         const response = await fetch('/api/post-to-instagram', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ imageId, filename, caption })
+          body: JSON.stringify({ imageId, caption, variant, watermark })
         });
         
         const data = await response.json();
@@ -1831,9 +2761,11 @@ app.get('/', async (req, res) => {
   }
 });
 
-function runGenerator(args) {
+function runGenerator(args, signal) {
   return new Promise((resolve, reject) => {
-    execFile('node', [path.join(__dirname, 'index.js'), ...args], { maxBuffer: 1024 * 1024 * 10 }, (err, stdout, stderr) => {
+    // Aborting the signal sends SIGTERM, which index.js handles by finishing any
+    // gallery write in progress and deleting images it has not recorded yet
+    execFile('node', [path.join(__dirname, 'index.js'), ...args], { maxBuffer: 1024 * 1024 * 10, signal }, (err, stdout, stderr) => {
       if (err) {
         return reject(new Error(stderr || err.message));
       }
@@ -1842,6 +2774,131 @@ function runGenerator(args) {
   });
 }
 
+/**
+ * Hash images saved before duplicate detection existed, flagging each against
+ * the older images. Returns how many were hashed.
+ */
+async function backfillImageHashes() {
+  let hashed = 0;
+  for (const image of gallery.listUnhashedImages()) {
+    const imagePath = path.join(OUTPUT_DIR, image.filename);
+    if (!(await fs.pathExists(imagePath))) continue;
+    try {
+      const phash = await computeImageHash(imagePath);
+      const older = gallery.listImageHashes().filter(other => other.id < image.id);
+      const nearest = findNearestDuplicate(phash, older);
+      gallery.setImageHash(image.id, phash, nearest ? nearest.id : null);
+      hashed++;
+    } catch (error) {
+      console.warn('Could not hash ' + image.filename + ': ' + error.message);
+    }
+  }
+  return hashed;
+}
+
+/**
+ * Remove the gallery entries (and files) a cancelled run had already recorded
+ */
+async function removeJobRunImages(jobId, runIndex) {
+  const partial = gallery.deleteJobRunImages(jobId, runIndex);
+  if (partial.length === 0) return;
+  
+  for (const image of partial) {
+    await fs.remove(path.join(OUTPUT_DIR, image.filename));
+    await removeVariantFiles(OUTPUT_DIR, image.filename);
+    await removeThumbnails(OUTPUT_DIR, image.filename);
+    await removeWatermarkedFiles(OUTPUT_DIR, image.filename);
+    await removeAlternateFiles(OUTPUT_DIR, image.filename);
+  }
+  console.log('Removed ' + partial.length + ' image(s) from cancelled job ' + jobId);
+}
+
+// Last meaningful line of the generator's stderr, e.g. "Error in main process: ..."
+function summarizeGeneratorError(error) {
+  const lines = error.message.split('\n').map(l => l.trim()).filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1] : error.message;
+}
+
+const jobQueue = createJobQueue({
+  file: JOBS_FILE,
+  executeRun: async (job, run, signal) => {
+    if (signal.aborted) {
+      throw new Error('Cancelled');
+    }
+    const args = [...job.args, '--job', job.id, '--job-run', String(run.index)];
+    try {
+      await runGenerator(args, signal);
+    } catch (error) {
+      if (signal.aborted) {
+        await removeJobRunImages(job.id, run.index);
+        throw error;
+      }
+      throw new Error(summarizeGeneratorError(error));
+    }
+    return { imageIds: gallery.getJobRunImageIds(job.id, run.index) };
+  }
+});
+
+jobQueue.load();
+
+/**
+ * Turn generation settings into index.js arguments
+ */
+function buildGeneratorArgs(options) {
+  const args = [];
+  if (options.color) {
+    args.push('--color', options.color);
+  } else if (options.hijabFile) {
+    args.push('--hijab-file', options.hijabFile);
+  } else if (options.hijabFolder && options.hijabFolder !== '__random__') {
+    args.push('--hijab', options.hijabFolder);
+  }
+  if (options.provider) {
+    args.push('--provider', options.provider);
+  }
+  if (options.amazon) {
+    args.push('--amazon');
+  }
+  if (options.caption) {
+    args.push('--caption');
+  }
+  if (options.model) {
+    args.push('--model', options.model);
+  }
+  if (options.prompt) {
+    args.push('--prompt', options.prompt);
+  } else if (options.template) {
+    args.push('--template', options.template);
+  }
+  if (options.scene) {
+    args.push('--scene', options.scene);
+  }
+  if (options.modelRef) {
+    args.push('--model-ref', options.modelRef);
+  }
+  if (Array.isArray(options.styleImages)) {
+    for (const img of options.styleImages) {
+      args.push('--style', img);
+    }
+  }
+  if (options.seed !== undefined && options.seed !== null) {
+    args.push('--seed', String(options.seed));
+  }
+  if (options.strength !== undefined && options.strength !== null) {
+    args.push('--strength', String(options.strength));
+  }
+  if (options.aspectRatio) {
+    args.push('--aspect', options.aspectRatio);
+  }
+  if (options.concurrency > 1) {
+    args.push('--concurrency', String(options.concurrency));
+  }
+  if (options.candidates > 1) {
+    args.push('--variants', String(options.candidates));
+  }
+  return args;
+}
+
 app.post('/api/generate', async (req, res) => {
   try {
     const {
@@ -1850,65 +2907,193 @@ app.post('/api/generate', async (req, res) => {
       provider,
       model,
       prompt,
+      template,
+      scene,
+      modelRef,
       styleImages,
       amazon,
       caption,
-      count
+      count,
+      concurrency,
+      candidates
     } = req.body || {};
     
     const runCount = Math.min(Math.max(parseInt(count, 10) || 1, 1), 10);
+    const runConcurrency = Math.min(Math.max(parseInt(concurrency, 10) || 1, 1), 8);
+    const runCandidates = Math.min(Math.max(parseInt(candidates, 10) || 1, 1), 10);
     
     if (!color && !hijabFolder) {
       return res.status(400).json({ error: 'Select a hijab, choose Random, or provide a color' });
     }
-    
-    const args = [];
-    if (color) {
-      args.push('--color', color);
-    } else if (hijabFolder && hijabFolder !== '__random__') {
-      args.push('--hijab', hijabFolder);
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ error: 'Unknown provider: ' + provider });
     }
-    if (provider) {
-      args.push('--provider', provider);
+    if (!prompt && template && !(await listTemplates()).some(t => t.name === template)) {
+      return res.status(400).json({ error: 'Unknown prompt template: ' + template });
     }
-    if (amazon) {
-      args.push('--amazon');
+    if (scene && !(await listScenes()).some(s => s.name === scene)) {
+      return res.status(400).json({ error: 'Unknown scene: ' + scene });
     }
-    if (caption) {
-      args.push('--caption');
+    if (scene && amazon) {
+      return res.status(400).json({ error: 'Scenes cannot be used with Amazon Mode' });
     }
-    if (model) {
-      args.push('--model', model);
+    if (modelRef && !(await listPersonas()).some(p => p.name === modelRef)) {
+      return res.status(400).json({ error: 'Unknown model persona: ' + modelRef });
     }
-    if (prompt) {
-      args.push('--prompt', prompt);
+    if (modelRef && provider && !getProvider(provider).acceptsModelImages) {
+      return res.status(400).json({ error: 'The ' + provider + ' provider cannot use a model persona' });
     }
-    if (Array.isArray(styleImages)) {
-      for (const img of styleImages) {
-        args.push('--style', img);
+    
+    const args = buildGeneratorArgs({
+      hijabFolder,
+      color,
+      provider,
+      model,
+      prompt,
+      template,
+      scene,
+      modelRef,
+      styleImages,
+      amazon,
+      caption,
+      concurrency: runConcurrency,
+      candidates: runCandidates
+    });
+    
+    if (prompt && prompt.trim()) {
+      gallery.savePrompt(prompt.trim());
+    }
+    
+    const job = jobQueue.enqueue({
+      args,
+      count: runCount,
+      request: {
+        hijabFolder: color ? null : hijabFolder,
+        color: color || null,
+        provider: provider || null,
+        model: model || null,
+        template: prompt ? null : (template || null),
+        scene: scene || null,
+        modelRef: modelRef || null,
+        styleImages: Array.isArray(styleImages) ? styleImages : []
       }
-    }
+    });
+    
+    res.status(202).json({ success: true, jobId: job.id, runs: runCount, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (prompt && prompt.trim()) {
-      const history = await loadPromptHistory();
-      const normalized = prompt.trim();
-      const next = [normalized, ...history.filter(p => p !== normalized)].slice(0, 10);
-      await savePromptHistory(next);
+// Queue one run with the same inputs as a gallery image, optionally on another
+// provider (with that provider's default model) or with a fresh seed
+app.post('/api/image/:id/regenerate', async (req, res) => {
+  try {
+    const imageId = parseInt(req.params.id, 10);
+    const { provider, newSeed } = req.body || {};
+    const image = gallery.getImage(imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
     }
     
-    for (let i = 0; i < runCount; i++) {
-      await runGenerator(args);
-    }
+    const targetProvider = provider || image.provider || null;
+    if (targetProvider && !getProvider(targetProvider)) {
+      return res.status(400).json({ error: 'Unknown provider: ' + targetProvider });
+    }
+    if (image.modelRef && targetProvider && !getProvider(targetProvider).acceptsModelImages) {
+      return res.status(400).json({ error: 'The ' + targetProvider + ' provider cannot use the model persona ' + image.modelRef });
+    }
+    const sameProvider = targetProvider === image.provider;
+    const params = image.params || {};
+    
+    // Entries from before provenance was recorded only have hijabStyle, which is
+    // either a hijab folder or a color
+    const isFolder = !!image.hijabSource || await fs.pathExists(path.join(HIJAB_INPUT_DIR, image.hijabStyle));
+    const settings = {
+      hijabFile: image.hijabSource || null,
+      hijabFolder: isFolder ? image.hijabStyle : null,
+      color: isFolder ? null : image.hijabStyle,
+      provider: targetProvider,
+      model: sameProvider ? image.model : null,
+      template: image.template || null,
+      scene: image.scene || null,
+      modelRef: image.modelRef || null,
+      prompt: image.template ? null : image.prompt,
+      styleImages: image.styleImages || [],
+      caption: !!image.caption,
+      seed: newSeed ? null : image.seed,
+      strength: params.strength,
+      aspectRatio: params.aspectRatio
+    };
+    
+    const job = jobQueue.enqueue({
+      args: buildGeneratorArgs(settings),
+      count: 1,
+      request: {
+        hijabFolder: settings.hijabFolder,
+        color: settings.color,
+        provider: settings.provider,
+        model: settings.model,
+        template: settings.template,
+        scene: settings.scene,
+        modelRef: settings.modelRef,
+        styleImages: settings.styleImages,
+        regeneratedFrom: image.id
+      }
+    });
     
-    res.json({ success: true, runs: runCount });
+    res.status(202).json({ success: true, jobId: job.id, runs: 1, job });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobQueue.list() });
+});
+
+// Server-sent events: one "job" event with the full job every time it changes
+app.get('/api/jobs/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = job => res.write('event: job\ndata: ' + JSON.stringify(job) + '\n\n');
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  jobQueue.events.on('update', send);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    jobQueue.events.off('update', send);
+  });
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: job.status === 'cancelled', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job });
+});
+
 app.get('/api/prompt-history', async (req, res) => {
   try {
-    const prompts = await loadPromptHistory();
+    const prompts = gallery.listPrompts();
     res.json({ prompts });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1932,6 +3117,37 @@ function escapeForJs(text) {
     .replace(/\$/g, '\\$');
 }
 
+// Product catalog: hijab_input/<folder>/product.json
+app.get('/api/catalog', async (req, res) => {
+  try {
+    res.json({ catalog: await listCatalog(HIJAB_INPUT_DIR) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/catalog/:folder', async (req, res) => {
+  try {
+    const product = await saveProduct(HIJAB_INPUT_DIR, req.params.folder, req.body || {});
+    res.json({ success: true, product });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/catalog/import', async (req, res) => {
+  try {
+    const { csv } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'CSV text is required' });
+    }
+    const { imported, skipped } = await importCatalogCsv(HIJAB_INPUT_DIR, csv);
+    res.json({ success: true, imported, skipped, catalog: await listCatalog(HIJAB_INPUT_DIR) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // API endpoint to update caption
 app.put('/api/caption/:id', async (req, res) => {
   try {
@@ -1942,14 +3158,8 @@ app.put('/api/caption/:id', async (req, res) => {
       return res.status(400).json({ error: 'Caption is required' });
     }
     
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    const data = await fs.readFile(galleryPath, 'utf-8');
-    const galleryData = JSON.parse(data);
-    
-    const image = galleryData.images.find(img => img.id === imageId);
+    const image = gallery.updateCaption(imageId, caption);
     if (image) {
-      image.caption = caption;
-      await fs.writeFile(galleryPath, JSON.stringify(galleryData, null, 2));
       res.json({ success: true, caption: image.caption });
     } else {
       res.status(404).json({ error: 'Image not found' });
@@ -1963,14 +3173,8 @@ app.put('/api/caption/:id', async (req, res) => {
 app.post('/api/favorite/:id', async (req, res) => {
   try {
     const imageId = parseInt(req.params.id);
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    const data = await fs.readFile(galleryPath, 'utf-8');
-    const galleryData = JSON.parse(data);
-    
-    const image = galleryData.images.find(img => img.id === imageId);
+    const image = gallery.toggleFavorite(imageId);
     if (image) {
-      image.favorited = !image.favorited;
-      await fs.writeFile(galleryPath, JSON.stringify(galleryData, null, 2));
       res.json({ success: true, favorited: image.favorited });
     } else {
       res.status(404).json({ error: 'Image not found' });
@@ -1980,37 +3184,103 @@ app.post('/api/favorite/:id', async (req, res) => {
   }
 });
 
+// API endpoint to (re)create an Instagram variant with smart, preset or manual crop focus
+app.post('/api/image/:id/variants/:variant', async (req, res) => {
+  try {
+    const imageId = parseInt(req.params.id, 10);
+    const { variant } = req.params;
+    const focus = (req.body || {}).focus;
+    
+    const image = gallery.getImage(imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (!INSTAGRAM_VARIANTS[variant]) {
+      return res.status(400).json({ error: 'Unknown variant: ' + variant });
+    }
+    if (!parseFocus(focus)) {
+      return res.status(400).json({ error: 'Invalid crop focus' });
+    }
+    
+    const created = await createVariant(OUTPUT_DIR, image.filename, variant, focus);
+    gallery.saveVariant(image.id, created);
+    res.json({ success: true, variant: created });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API endpoint to delete image
 app.delete('/api/image/:id', async (req, res) => {
   try {
     const imageId = parseInt(req.params.id);
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    const data = await fs.readFile(galleryPath, 'utf-8');
-    const galleryData = JSON.parse(data);
-    
-    const imageIndex = galleryData.images.findIndex(img => img.id === imageId);
-    if (imageIndex === -1) {
+    // Remove from gallery
+    const image = gallery.deleteImage(imageId);
+    if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
     
-    const image = galleryData.images[imageIndex];
-    
-    // Delete the actual file
+    // Delete the actual file and everything derived from it
     const imagePath = path.join(OUTPUT_DIR, image.filename);
     if (await fs.pathExists(imagePath)) {
       await fs.remove(imagePath);
     }
+    await removeVariantFiles(OUTPUT_DIR, image.filename);
+    await removeThumbnails(OUTPUT_DIR, image.filename);
+    await removeWatermarkedFiles(OUTPUT_DIR, image.filename);
+    await removeAlternateFiles(OUTPUT_DIR, image.filename);
     
-    // Remove from gallery
-    galleryData.images.splice(imageIndex, 1);
-    await fs.writeFile(galleryPath, JSON.stringify(galleryData, null, 2));
-    
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// API endpoint to clear recorded generation failures
+app.delete('/api/failures', async (req, res) => {
+  try {
+    gallery.clearFailures();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint listing groups of near-duplicate image ids (oldest first in each group)
+app.get('/api/duplicates', (req, res) => {
+  res.json({ groups: findDuplicateClusters(gallery.listImageHashes()) });
+});
+
+// Runner-up candidates of an image (generated with --variants), best first
+app.get('/api/image/:id/alternates', (req, res) => {
+  const image = gallery.getImage(parseInt(req.params.id, 10));
+  if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  res.json({ alternates: image.alternates });
+});
+
+// API endpoint to download an image, optionally with ?watermark=<preset>
+app.get('/api/image/:id/download', async (req, res) => {
+  try {
+    const image = gallery.getImage(parseInt(req.params.id, 10));
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    const watermarkPreset = await getWatermarkPreset(req.query.watermark);
+    let filename = image.filename;
+    if (watermarkPreset) {
+      filename = await watermarkFile(image.filename, watermarkPreset);
+      // Keep the embedded provenance on the downloaded copy
+      await copyMetadata(path.join(OUTPUT_DIR, image.filename), path.join(OUTPUT_DIR, filename));
+    }
+    const downloadName = watermarkPreset ? path.parse(image.filename).name + '_' + watermarkPreset.name + '.jpg' : image.filename;
+    res.download(path.join(OUTPUT_DIR, filename), downloadName);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // API endpoint to reveal image in Finder (macOS only)
 app.get('/api/reveal-in-finder/:id', async (req, res) => {
   if (process.platform !== 'darwin') {
@@ -2018,13 +3288,7 @@ app.get('/api/reveal-in-finder/:id', async (req, res) => {
   }
   try {
     const imageId = parseInt(req.params.id, 10);
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    if (!(await fs.pathExists(galleryPath))) {
-      return res.status(404).json({ error: 'Gallery not found' });
-    }
-    const data = await fs.readFile(galleryPath, 'utf-8');
-    const galleryData = JSON.parse(data);
-    const image = galleryData.images.find(img => img.id === imageId);
+    const image = gallery.getImage(imageId);
     if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
@@ -2047,13 +3311,7 @@ app.get('/api/reveal-in-finder/:id', async (req, res) => {
 // API endpoint to get gallery data as JSON
 app.get('/api/gallery', async (req, res) => {
   try {
-    const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-    if (await fs.pathExists(galleryPath)) {
-      const data = await fs.readFile(galleryPath, 'utf-8');
-      res.json(JSON.parse(data));
-    } else {
-      res.json({ images: [] });
-    }
+    res.json({ images: gallery.listImages(), failures: gallery.listFailures(50) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2080,4 +3338,16 @@ app.listen(PORT, () => {
     console.log('  FB_APP_SECRET=your_facebook_app_secret');
     console.log('  PUBLIC_URL=https://your-ngrok-url.ngrok.io');
   }
+  
+  // Thumbnails and duplicate hashes for images generated before they existed;
+  // /thumbs creates any thumbnail still missing on demand
+  backfillThumbnails(OUTPUT_DIR, gallery.listImages().map(img => img.filename))
+    .then(created => {
+      if (created > 0) console.log('Created thumbnails for ' + created + ' existing image(s)');
+      return backfillImageHashes();
+    })
+    .then(hashed => {
+      if (hashed > 0) console.log('Computed duplicate hashes for ' + hashed + ' existing image(s)');
+    })
+    .catch(error => console.error('Gallery backfill failed:', error.message));
 });
@@ -0,0 +1,34 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { importCatalogCsv } from './lib/catalog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HIJAB_INPUT_DIR = path.join(__dirname, 'hijab_input');
+
+// Usage:
+//   node import-catalog.js <catalog.csv>  Write each row to hijab_input/<folder>/product.json
+async function importCatalog() {
+  const file = process.argv[2];
+  
+  try {
+    if (!file) {
+      throw new Error('Usage: node import-catalog.js <catalog.csv>');
+    }
+    const { imported, skipped } = await importCatalogCsv(HIJAB_INPUT_DIR, await fs.readFile(file, 'utf-8'));
+    for (const folder of imported) {
+      console.log('Imported ' + folder);
+    }
+    for (const row of skipped) {
+      console.warn('Skipped ' + (row.folder || '(no folder)') + ': ' + row.reason);
+    }
+    console.log('\nImported ' + imported.length + ' product(s), skipped ' + skipped.length + '.');
+  } catch (error) {
+    console.error('Error importing catalog:', error.message);
+    process.exit(1);
+  }
+}
+
+importCatalog();
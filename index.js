@@ -1,9 +1,28 @@
-import OpenAI from 'openai';
-import { GoogleGenAI } from '@google/genai';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getProvider, getProviderNames, listProviders } from './lib/providers/index.js';
+import { getClient as getGeminiClient } from './lib/providers/gemini.js';
+import { isImageFile, detectImageFormat, getMimeType } from './lib/images.js';
+import { ERROR_CLASSES, ProviderError } from './lib/errors.js';
+import { withRetry, withTimeout } from './lib/retry.js';
+import { runPool, createRateLimiter } from './lib/pool.js';
+import { loadTemplate, renderTemplate } from './lib/prompt-templates.js';
+import { MAX_SEED, randomSeed, createSeededRandom, sample } from './lib/random.js';
+import { openGallery } from './lib/gallery-db.js';
+import { INSTAGRAM_VARIANTS, createAllVariants, variantFilename } from './lib/instagram-variants.js';
+import { DEFAULT_MAX_EDGE, normalizeInput } from './lib/normalize-input.js';
+import { THUMBNAIL_SIZES, createThumbnails, thumbnailFilename } from './lib/thumbnails.js';
+import { embedMetadata } from './lib/image-metadata.js';
+import { computeImageHash, findNearestDuplicate } from './lib/perceptual-hash.js';
+import { checkImageQuality, quarantineImage } from './lib/quality-gate.js';
+import { DEFAULT_MIN_COLOR_SCORE, parseColor, describeColor, scoreColorMatch } from './lib/color-match.js';
+import { ALTERNATES_DIR_NAME, alternateFilename, createAlternate } from './lib/alternates.js';
+import { MAX_LISTING_IMAGES, isValidSku, exportListingPack } from './lib/listing-pack.js';
+import { loadScene, scenePrompt } from './lib/scenes.js';
+import { loadPersona, personaPrompt } from './lib/model-refs.js';
+import { loadProduct, productPrompt } from './lib/catalog.js';
 
 dotenv.config();
 
@@ -11,24 +30,50 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Parse command line arguments
-// Usage: node index.js [--hijab <folder>] [--provider <openai|gemini>]
+// Usage: node index.js [--hijab <folder>] [--provider <name>]
 function parseArgs() {
   const args = process.argv.slice(2);
   const result = {
     hijabFolder: null,
+    hijabFile: null,
     provider: 'gemini', // default to gemini
     amazon: false,
     color: null,
     caption: false,
+    variants: true,
+    qualityGate: true,
+    qualityRetries: 0,
+    minColorScore: DEFAULT_MIN_COLOR_SCORE,
+    colorRetries: 0,
+    candidateCount: 1,
+    candidateChecks: null,
+    listingPack: null,
+    lifestyleShots: 2,
     styleImages: [],
     prompt: null,
-    model: null
+    template: null,
+    scene: null,
+    modelRef: null,
+    model: null,
+    strength: null,
+    seed: null,
+    aspectRatio: null,
+    retries: 3,
+    timeout: 300,
+    concurrency: 1,
+    rpm: null,
+    maxEdge: null,
+    jobId: null,
+    jobRun: null
   };
   
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--hijab' && args[i + 1]) {
       result.hijabFolder = args[i + 1];
       i++;
+    } else if (args[i] === '--hijab-file' && args[i + 1]) {
+      result.hijabFile = args[i + 1];
+      i++;
     } else if (args[i] === '--style' && args[i + 1]) {
       result.styleImages.push(args[i + 1]);
       i++;
@@ -47,9 +92,74 @@ function parseArgs() {
     } else if (args[i] === '--prompt' && args[i + 1]) {
       result.prompt = args[i + 1];
       i++;
+    } else if (args[i] === '--template' && args[i + 1]) {
+      result.template = args[i + 1];
+      i++;
+    } else if (args[i] === '--scene' && args[i + 1]) {
+      result.scene = args[i + 1];
+      i++;
+    } else if (args[i] === '--model-ref' && args[i + 1]) {
+      result.modelRef = args[i + 1];
+      i++;
     } else if (args[i] === '--model' && args[i + 1]) {
       result.model = args[i + 1];
       i++;
+    } else if (args[i] === '--strength' && args[i + 1]) {
+      result.strength = parseFloat(args[i + 1]);
+      i++;
+    } else if (args[i] === '--seed' && args[i + 1]) {
+      result.seed = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--aspect' && args[i + 1]) {
+      result.aspectRatio = args[i + 1];
+      i++;
+    } else if (args[i] === '--retries' && args[i + 1]) {
+      result.retries = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--timeout' && args[i + 1]) {
+      result.timeout = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--concurrency' && args[i + 1]) {
+      result.concurrency = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--rpm' && args[i + 1]) {
+      result.rpm = parseFloat(args[i + 1]);
+      i++;
+    } else if (args[i] === '--max-edge' && args[i + 1]) {
+      result.maxEdge = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--job' && args[i + 1]) {
+      result.jobId = args[i + 1];
+      i++;
+    } else if (args[i] === '--job-run' && args[i + 1]) {
+      result.jobRun = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--no-variants') {
+      result.variants = false;
+    } else if (args[i] === '--no-quality-gate') {
+      result.qualityGate = false;
+    } else if (args[i] === '--quality-retries' && args[i + 1]) {
+      result.qualityRetries = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--min-color-score' && args[i + 1]) {
+      result.minColorScore = parseFloat(args[i + 1]);
+      i++;
+    } else if (args[i] === '--color-retries' && args[i + 1]) {
+      result.colorRetries = parseInt(args[i + 1], 10);
+      i++;
+    } else if ((args[i] === '--variants' || args[i] === '--candidates') && args[i + 1]) {
+      // Candidates per image; unrelated to --no-variants (Instagram crops)
+      result.candidateCount = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--candidate-checks' && args[i + 1]) {
+      result.candidateChecks = args[i + 1].split(',').map(s => s.trim()).filter(Boolean);
+      i++;
+    } else if (args[i] === '--listing-pack' && args[i + 1]) {
+      result.listingPack = args[i + 1];
+      i++;
+    } else if (args[i] === '--lifestyle-shots' && args[i + 1]) {
+      result.lifestyleShots = parseInt(args[i + 1], 10);
+      i++;
     } else if (args[i] === '--caption') {
       result.caption = true;
     } else if (!args[i].startsWith('--')) {
@@ -58,8 +168,9 @@ function parseArgs() {
     }
   }
   
-  // Fall back to environment variables if not set via CLI
-  if (!result.hijabFolder && process.env.HIJAB_FOLDER) {
+  // Fall back to environment variables if not set via CLI (--hijab-file
+  // names its own folder)
+  if (!result.hijabFolder && !result.hijabFile && process.env.HIJAB_FOLDER) {
     result.hijabFolder = process.env.HIJAB_FOLDER;
   }
   if (process.env.IMAGE_PROVIDER && !process.argv.includes('--provider')) {
@@ -71,58 +182,126 @@ function parseArgs() {
   if (!result.model && process.env.IMAGE_MODEL) {
     result.model = process.env.IMAGE_MODEL;
   }
+  if (result.maxEdge === null) {
+    result.maxEdge = process.env.INPUT_MAX_EDGE ? parseInt(process.env.INPUT_MAX_EDGE, 10) : DEFAULT_MAX_EDGE;
+  }
   
   return result;
 }
 
 const CLI_ARGS = parseArgs();
 const IMAGE_PROVIDER = CLI_ARGS.provider;
-const HIJAB_FOLDER = CLI_ARGS.hijabFolder;
+// --hijab-file <folder>/<file> selects one photo, and with it its folder
+const HIJAB_FILE_PARTS = CLI_ARGS.hijabFile ? CLI_ARGS.hijabFile.split(/[\\/]/).filter(Boolean) : null;
+const HIJAB_FOLDER = HIJAB_FILE_PARTS ? HIJAB_FILE_PARTS[0] : CLI_ARGS.hijabFolder;
+const HIJAB_FILE = HIJAB_FILE_PARTS ? HIJAB_FILE_PARTS[HIJAB_FILE_PARTS.length - 1] : null;
 const AMAZON_MODE = CLI_ARGS.amazon;
 const HIJAB_COLOR = CLI_ARGS.color;
+// Reference color for checking the result (null for descriptions like "dusty rose")
+const COLOR_REFERENCE = HIJAB_COLOR ? parseColor(HIJAB_COLOR) : null;
+const MIN_COLOR_SCORE = CLI_ARGS.minColorScore;
+const COLOR_RETRIES = CLI_ARGS.colorRetries;
 const GENERATE_CAPTION = CLI_ARGS.caption;
+const CREATE_VARIANTS = CLI_ARGS.variants;
+const QUALITY_GATE = CLI_ARGS.qualityGate;
+const QUALITY_RETRIES = CLI_ARGS.qualityRetries;
+// Candidates generated per image (--variants), ranked by CANDIDATE_CHECKS
+const CANDIDATE_COUNT = CLI_ARGS.candidateCount;
+const MAX_CANDIDATES = 10;
+const CANDIDATE_CHECK_NAMES = ['quality', 'color', 'duplicate'];
+const CANDIDATE_CHECKS = new Set((CLI_ARGS.candidateChecks || CANDIDATE_CHECK_NAMES).filter(check => check !== 'quality' || QUALITY_GATE));
 const STYLE_IMAGES = CLI_ARGS.styleImages;
 const CUSTOM_PROMPT = CLI_ARGS.prompt;
+// --amazon selects the amazon template unless --template names one
+const TEMPLATE_NAME = CLI_ARGS.template || (AMAZON_MODE ? 'amazon' : 'default');
+const SCENE_NAME = CLI_ARGS.scene;
+// --model-ref <persona>: portraits from model_input/<persona> keep the model's face consistent
+const MODEL_REF = CLI_ARGS.modelRef;
+// --listing-pack <SKU>: main, lifestyle and detail shots exported as an Amazon zip
+const LISTING_SKU = CLI_ARGS.listingPack;
+const LIFESTYLE_SHOTS = CLI_ARGS.lifestyleShots;
+const LISTING_TEMPLATE_NAMES = { main: 'amazon', lifestyle: CLI_ARGS.template || 'default', detail: 'amazon-detail' };
 const IMAGE_MODEL = CLI_ARGS.model;
+const MAX_RETRIES = CLI_ARGS.retries;
+const GENERATION_TIMEOUT_MS = CLI_ARGS.timeout * 1000;
+const MAX_RECORDED_FAILURES = 50;
+const CONCURRENCY = CLI_ARGS.concurrency;
+const REQUESTS_PER_MINUTE = CLI_ARGS.rpm;
+const INPUT_MAX_EDGE = CLI_ARGS.maxEdge;
+
+// One seed drives style/hijab selection and the provider's own seed, so a run
+// can be repeated with --seed; a random one is picked (and recorded) otherwise
+const SEED = CLI_ARGS.seed !== null ? CLI_ARGS.seed : randomSeed();
+const random = createSeededRandom(SEED);
+
+// Set by the dashboard job queue so it can find (and on cancel, remove) a run's images
+const JOB_TAG = CLI_ARGS.jobId ? { jobId: CLI_ARGS.jobId, jobRun: CLI_ARGS.jobRun } : {};
+
+// Shared by all workers so parallel calls respect the provider's rate limit
+let rateLimiter = null;
+function getRateLimiter(provider) {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiter(REQUESTS_PER_MINUTE || provider.requestsPerMinute);
+  }
+  return rateLimiter;
+}
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Images written to disk but not yet recorded in the gallery
+const pendingImageFiles = new Set();
+
+// The dashboard cancels a run with SIGTERM: remove images that were saved but
+// not recorded. Gallery writes are synchronous, so none can be half-done here.
+process.on('SIGTERM', () => {
+  console.log('Generation cancelled');
+  for (const file of pendingImageFiles) {
+    fs.removeSync(file);
+  }
+  process.exit(143);
 });
 
-// Initialize Google Gemini client
-const gemini = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+let lastImageId = 0;
+
+/**
+ * Unique, increasing image id (a timestamp, bumped if two images finish in the same millisecond)
+ */
+function nextImageId() {
+  lastImageId = Math.max(Date.now(), lastImageId + 1);
+  return lastImageId;
+}
+
+// Optional generation parameters passed through to the provider
+const GENERATION_PARAMS = Object.fromEntries(
+  Object.entries({
+    strength: CLI_ARGS.strength,
+    seed: SEED,
+    aspectRatio: CLI_ARGS.aspectRatio
+  }).filter(([, value]) => value !== null)
+);
 
 const STYLE_INPUT_DIR = path.join(__dirname, 'style_input');
 const HIJAB_INPUT_DIR = path.join(__dirname, 'hijab_input');
 const OUTPUT_DIR = path.join(__dirname, 'output_folder');
 
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.heic', '.heif'];
+// Converted copies of HEIC, GIF, rotated and oversized inputs (see lib/normalize-input.js)
+const INPUT_CACHE_DIR = path.join(__dirname, '.cache', 'inputs');
 
-function isImageFile(filePath) {
-  return IMAGE_EXTENSIONS.some(ext => filePath.toLowerCase().endsWith(ext));
-}
+// Opened in main() once output_folder exists
+let gallery = null;
 
 /**
- * Get all image files from a directory
+ * Get all image files from a directory (sorted, so seeded picks are repeatable)
  */
 async function getImageFiles(dir) {
   const files = await fs.readdir(dir);
-  return files.filter(file => isImageFile(file));
-}
-
-/**
- * Get random items from an array
- */
-function getRandomItems(array, count) {
-  const shuffled = [...array].sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, count);
+  return files.filter(file => isImageFile(file)).sort();
 }
 
 /**
  * Get hijab images from hijab_input subdirectories
  * If HIJAB_FOLDER is set, only use that specific folder
  * Otherwise, randomly pick one folder
+ * If HIJAB_FILE is set, only that photo from the folder is used
+ * Each image carries the folder's product.json (see lib/catalog.js), or null
  */
 async function getHijabImages() {
   const hijabImages = [];
@@ -133,7 +312,7 @@ async function getHijabImages() {
     return hijabImages;
   }
   
-  let subdirs = await fs.readdir(HIJAB_INPUT_DIR);
+  let subdirs = (await fs.readdir(HIJAB_INPUT_DIR)).sort();
   
   // Filter out hidden files/folders
   subdirs = subdirs.filter(s => !s.startsWith('.'));
@@ -166,239 +345,229 @@ async function getHijabImages() {
     }
   } else {
     // Randomly pick one folder
-    selectedFolder = validDirs[Math.floor(Math.random() * validDirs.length)];
+    selectedFolder = validDirs[Math.floor(random() * validDirs.length)];
     console.log('Randomly selected hijab folder: ' + selectedFolder);
   }
   
   const selectedPath = path.join(HIJAB_INPUT_DIR, selectedFolder);
-  const images = await getImageFiles(selectedPath);
+  const product = await loadProduct(HIJAB_INPUT_DIR, selectedFolder);
+  if (product) {
+    console.log('Product: ' + (product.title || selectedFolder) + (product.sku ? ' (' + product.sku + ')' : ''));
+  }
+  let images = await getImageFiles(selectedPath);
+  if (HIJAB_FILE) {
+    if (!images.includes(HIJAB_FILE)) {
+      console.error('Error: Hijab image "' + HIJAB_FILE + '" not found in ' + selectedFolder);
+      return hijabImages;
+    }
+    images = [HIJAB_FILE];
+    console.log('Using hijab image: ' + HIJAB_FILE);
+  }
   for (const image of images) {
     hijabImages.push({
       name: selectedFolder,
       path: path.join(selectedPath, image),
+      product
     });
   }
   
   return hijabImages;
 }
 
+// Loaded in main() unless --prompt overrides the template
+let promptTemplate = null;
+
+// Templates of the --listing-pack shots, by shot (see LISTING_TEMPLATE_NAMES)
+let listingTemplates = null;
+
+// --scene preset, loaded in main()
+let scene = null;
+
+// --model-ref persona and its provider-ready portraits, loaded in main()
+let persona = null;
+let inputPortraits = [];
+
+/**
+ * Build prompt from the selected template, or the given one (color vs hijab
+ * image mode), followed by the catalog's product details, the scene's
+ * setting and the persona's identity.
+ * The images are expected in the order style images, scene backgrounds,
+ * persona portraits, hijab photo. A --prompt that already ends with them
+ * (a regenerated image's recorded prompt) is left as it is.
+ */
+function buildPrompt(styleImageCount, hijabImage, template = promptTemplate, shotScene = scene) {
+  const prompt = CUSTOM_PROMPT || renderTemplate(template, HIJAB_COLOR ? 'color' : 'hijab', {
+    styleImageCount,
+    color: COLOR_REFERENCE ? describeColor(COLOR_REFERENCE) : HIJAB_COLOR,
+    hijabName: hijabImage ? hijabImage.name.replace(/_/g, ' ') : null,
+    product: (hijabImage && hijabImage.product) || {}
+  });
+  const additions = [];
+  if (hijabImage && productPrompt(hijabImage.product)) {
+    additions.push(productPrompt(hijabImage.product));
+  }
+  let imageCount = styleImageCount;
+  if (shotScene) {
+    additions.push(scenePrompt(shotScene, imageCount + 1));
+    imageCount += shotScene.backgroundPaths.length;
+  }
+  if (persona) {
+    additions.push(personaPrompt(persona, imageCount + 1));
+  }
+  const suffix = additions.join(' ');
+  return suffix && !prompt.endsWith(suffix) ? prompt + ' ' + suffix : prompt;
+}
+
 /**
- * Get mime type from file extension
+ * Inputs recorded on gallery entries so an image can be traced and repeated:
+ * the seed, style image filenames and the hijab photo (relative to hijab_input)
  */
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).slice(1).toLowerCase();
-  const mimeTypes = {
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'png': 'image/png',
-    'webp': 'image/webp',
-    'heic': 'image/heic',
-    'heif': 'image/heif'
+function getProvenance(styleImagePaths, hijabImage) {
+  return {
+    seed: SEED,
+    styleImages: styleImagePaths.map(p => path.basename(p)),
+    hijabSource: hijabImage ? path.relative(HIJAB_INPUT_DIR, hijabImage.path).split(path.sep).join('/') : null
   };
-  return mimeTypes[ext] || 'image/png';
 }
 
 /**
- * Build prompt based on mode (color vs hijab image, amazon vs default)
+ * Template name and version recorded on gallery entries (null with --prompt)
  */
-function buildPrompt(styleImageCount) {
-  let defaultPrompt, amazonPrompt;
-  
-  if (CUSTOM_PROMPT) {
-    return CUSTOM_PROMPT;
-  }
-  
-  if (HIJAB_COLOR) {
-    // Color-based prompts
-    defaultPrompt = 'Use the ' + styleImageCount + ' images as style references (lighting, colors, composition, mood, aesthetic). Create a Instagram portrait matching the style from the reference images, with the model wearing a hijab in ' + HIJAB_COLOR + ' color. Only the hijab should be ' + HIJAB_COLOR + '; keep the rest of the outfit neutral and not ' + HIJAB_COLOR + '. Remove hijab wrinkles.';
-    amazonPrompt = 'Use the ' + styleImageCount + ' images as style references (lighting, colors, composition, mood, aesthetic). Create a Instagram portrait matching the style from the reference images, with the model wearing only a hijab in ' + HIJAB_COLOR + ' color. Only the hijab should be ' + HIJAB_COLOR + '; keep the rest of the outfit neutral and not ' + HIJAB_COLOR + '. Remove hijab wrinkles. Model must not be sitting. Background must be completely white. Hijab must fit within frame';
-  } else {
-    // Hijab image-based prompts
-    defaultPrompt = 'Use the first ' + styleImageCount + ' images as style references (lighting, colors, composition, mood, aesthetic). The last image shows a hijab. Create a Instagram portrait matching the style from the reference images, with the model wearing the hijab from the last image. Only the hijab should match the hijab image; keep the rest of the outfit neutral and not matching the hijab pattern or color. Remove hijab wrinkles.';
-    amazonPrompt = 'Use the first ' + styleImageCount + ' images as style references (lighting, colors, composition, mood, aesthetic). The last image shows a hijab. Create a Instagram portrait matching the style from the reference images, with the model wearing only the hijab from the last image. Only the hijab should match the hijab image; keep the rest of the outfit neutral and not matching the hijab pattern or color. Remove hijab wrinkles. Model must not be sitting. Background must be completely white. Hijab must fit within frame';
-  }
-  
-  return AMAZON_MODE ? amazonPrompt : defaultPrompt;
+function getTemplateInfo(template = promptTemplate) {
+  return {
+    template: template ? template.name : null,
+    templateVersion: template ? template.version : null
+  };
 }
 
 /**
- * Generate image using OpenAI gpt-image-1 Images Edit API
- * Uses all style images plus the hijab image (or color if specified)
+ * Scene name and version recorded on gallery entries (null without --scene)
  */
-async function generateImageOpenAI(styleImages, hijabImage) {
-  const hijabName = hijabImage ? hijabImage.name : HIJAB_COLOR;
-  
-  console.log('Generating image with OpenAI gpt-image-1: ' + hijabName + '...');
-  console.log('Using ' + styleImages.length + ' style images as reference');
-  
-  const prompt = buildPrompt(styleImages.length);
-  if (AMAZON_MODE) {
-    console.log('Using Amazon product photo mode');
-  }
-  if (HIJAB_COLOR) {
-    console.log('Using hijab color: ' + HIJAB_COLOR);
-  }
-  
-  try {
-    // Create file objects for all style images
-    const imageFiles = [];
-    
-    for (const stylePath of styleImages) {
-      const buffer = await fs.readFile(stylePath);
-      const fileName = path.basename(stylePath);
-      const file = await OpenAI.toFile(buffer, fileName, {
-        type: getMimeType(stylePath)
-      });
-      imageFiles.push(file);
-    }
-    
-    // Add hijab image last (only if not using color mode)
-    if (!HIJAB_COLOR && hijabImage) {
-      const hijabImageBuffer = await fs.readFile(hijabImage.path);
-      const hijabFileName = path.basename(hijabImage.path);
-      const hijabFile = await OpenAI.toFile(hijabImageBuffer, hijabFileName, {
-        type: getMimeType(hijabImage.path)
-      });
-      imageFiles.push(hijabFile);
-    }
-    
-    const response = await openai.images.edit({
-      model: IMAGE_MODEL || 'gpt-image-1',
-      prompt: prompt,
-      image: imageFiles
-    });
-    
-    if (response.data && response.data.length > 0) {
-      const imageData = response.data[0].b64_json;
-      if (imageData) {
-        return imageData;
-      } else {
-        throw new Error('No image data returned from OpenAI');
+function getSceneInfo(shotScene = scene) {
+  return {
+    scene: shotScene ? shotScene.name : null,
+    sceneVersion: shotScene ? shotScene.version : null
+  };
+}
+
+/**
+ * describe() for generateAndSave: a new id, output path and gallery entry for
+ * each candidate. hijabImage is null in color mode.
+ */
+function describeGeneration(styleImagePaths, hijabImage, prompt, template = promptTemplate, shotScene = scene) {
+  const provider = getProvider(IMAGE_PROVIDER);
+  const hijabStyle = hijabImage ? hijabImage.name : HIJAB_COLOR;
+  const baseName = hijabImage ? hijabImage.name : HIJAB_COLOR.replace(/\s+/g, '_').replace(/[^\w-]/g, '').toLowerCase();
+  return () => {
+    const timestamp = nextImageId();
+    return {
+      outputPath: path.join(OUTPUT_DIR, baseName + '_' + timestamp + '.png'),
+      entry: {
+        id: timestamp,
+        hijabStyle,
+        prompt,
+        ...getTemplateInfo(template),
+        ...getSceneInfo(shotScene),
+        modelRef: persona ? persona.name : null,
+        createdAt: new Date().toISOString(),
+        provider: IMAGE_PROVIDER,
+        model: IMAGE_MODEL || provider.defaultModel,
+        params: GENERATION_PARAMS,
+        ...getProvenance(styleImagePaths, hijabImage),
+        ...JOB_TAG
       }
-    } else {
-      throw new Error('No image data returned from OpenAI');
-    }
-  } catch (error) {
-    console.error('Error generating image for ' + hijabName + ':', error.message);
-    throw error;
-  }
+    };
+  };
 }
 
 /**
- * Generate image using Google Gemini
- * Uses all style images plus the hijab image (or color if specified)
+ * Path of a provider-ready copy of an input image
  */
-async function generateImageGemini(styleImages, hijabImage) {
+function prepareInput(filePath) {
+  return normalizeInput(filePath, { maxEdge: INPUT_MAX_EDGE, cacheDir: INPUT_CACHE_DIR });
+}
+
+/**
+ * Generate `count` images (at most the provider's maxCandidates) in one
+ * provider call, with the given generation parameters. Returns an array of
+ * image data, which may be shorter than count.
+ * styleImages should already be prepared; the hijab photo is prepared here.
+ */
+async function generateImages(styleImages, hijabImage, prompt, count = 1, options = GENERATION_PARAMS) {
+  const provider = getProvider(IMAGE_PROVIDER);
   const hijabName = hijabImage ? hijabImage.name : HIJAB_COLOR;
+  const model = IMAGE_MODEL || provider.defaultModel;
   
-  const modelName = IMAGE_MODEL || 'gemini-3-pro-image-preview';
-  console.log('Generating image with Gemini ' + modelName + ': ' + hijabName + '...');
-  console.log('Using ' + styleImages.length + ' style images as reference');
+  console.log('Generating ' + (count > 1 ? count + ' images' : 'image') + ' with ' + provider.label + ' ' + model + ': ' + hijabName + '...');
+  console.log('Using ' + styleImages.length + ' reference images');
   
-  if (AMAZON_MODE) {
-    console.log('Using Amazon product photo mode');
-  }
   if (HIJAB_COLOR) {
     console.log('Using hijab color: ' + HIJAB_COLOR);
   }
   
+  const inputHijabImage = hijabImage ? { ...hijabImage, path: await prepareInput(hijabImage.path) } : null;
+  
   try {
-    // Build parts array with all style images
-    const parts = [];
-    
-    // Add prompt first
-    const prompt = buildPrompt(styleImages.length);
-    parts.push({ text: prompt });
-    
-    // Add all style images
-    for (const stylePath of styleImages) {
-      const buffer = await fs.readFile(stylePath);
-      const base64 = buffer.toString('base64');
-      const mimeType = getMimeType(stylePath);
-      parts.push({
-        inlineData: {
-          mimeType: mimeType,
-          data: base64
-        }
-      });
-    }
-    
-    // Add hijab image last (only if not using color mode)
-    if (!HIJAB_COLOR && hijabImage) {
-      const hijabImageBuffer = await fs.readFile(hijabImage.path);
-      const hijabImageBase64 = hijabImageBuffer.toString('base64');
-      const hijabMimeType = getMimeType(hijabImage.path);
-      parts.push({
-        inlineData: {
-          mimeType: hijabMimeType,
-          data: hijabImageBase64
-        }
-      });
-    }
-    
-    const response = await gemini.models.generateContent({
-      model: modelName,
-      contents: [
-        {
-          role: 'user',
-          parts: parts
-        }
-      ],
-      generationConfig: {
-        responseModalities: ['image', 'text']
-      }
-    });
-    
-    // Extract image from response
-    if (response.candidates && response.candidates.length > 0) {
-      const candidate = response.candidates[0];
-      if (candidate.content && candidate.content.parts) {
-        for (const part of candidate.content.parts) {
-          if (part.inlineData && part.inlineData.data) {
-            return part.inlineData.data; // Return base64 image data
-          }
+    const result = await withRetry(
+      async () => {
+        await getRateLimiter(provider).acquire();
+        return withTimeout(signal => provider.generate({
+          styleImages,
+          modelImages: inputPortraits,
+          hijabImage: inputHijabImage,
+          prompt,
+          model,
+          options,
+          count,
+          signal
+        }), GENERATION_TIMEOUT_MS);
+      },
+      {
+        retries: MAX_RETRIES,
+        provider: provider.name,
+        onRetry: (error, attempt, delay) => {
+          console.warn('Attempt ' + attempt + ' failed (' + error.errorClass + '): ' + error.message + '. Retrying in ' + Math.round(delay / 1000) + 's...');
         }
       }
-    }
-    
-    throw new Error('No image data returned from Gemini');
+    );
+    return [].concat(result);
   } catch (error) {
-    console.error('Error generating image for ' + hijabName + ':', error.message);
+    console.error('Error generating image for ' + hijabName + ' (' + error.errorClass + '):', error.message);
     throw error;
   }
 }
 
 /**
- * Generate image using selected provider
+ * Generate Instagram caption for an image using Gemini, with the product
+ * details when the hijab folder is in the catalog
  */
-async function generateImage(styleImages, hijabImage) {
-  if (IMAGE_PROVIDER === 'gemini') {
-    return generateImageGemini(styleImages, hijabImage);
-  } else {
-    return generateImageOpenAI(styleImages, hijabImage);
-  }
-}
-
-/**
- * Generate Instagram caption for an image using Gemini
- */
-async function generateCaption(imagePath, hijabName) {
-  const displayName = hijabName.replace(/_/g, ' ');
+async function generateCaption(imagePath, hijabName, product = null) {
+  const displayName = (product && product.title) || hijabName.replace(/_/g, ' ');
   console.log('Generating Instagram caption for ' + displayName + '...');
   
+  // Product details from the catalog, if the folder has a product.json
+  const details = [];
+  if (product) {
+    if (product.fabric) details.push('Fabric: ' + product.fabric);
+    if (product.colors) details.push('Colors: ' + product.colors.join(', '));
+    if (product.price) details.push('Price: ' + product.price);
+    if (product.shopLink) details.push('Shop link (include it as is): ' + product.shopLink);
+    if (product.tags) details.push('Include these hashtags: ' + product.tags.map(tag => '#' + tag).join(' '));
+  }
+  
   try {
     const imageBuffer = await fs.readFile(imagePath);
     const imageBase64 = imageBuffer.toString('base64');
     const mimeType = getMimeType(imagePath);
     
-    const response = await gemini.models.generateContent({
+    const response = await getGeminiClient().models.generateContent({
       model: 'gemini-2.0-flash',
       contents: [
         {
           role: 'user',
           parts: [
             {
-              text: 'Create an engaging Instagram caption for this hijab fashion photo. The hijab style is called "' + displayName + '". Include relevant hashtags. Keep it elegant, inspiring, and suitable for a fashion/lifestyle account. Output ONLY the caption text, nothing else.'
+              text: 'Create an engaging Instagram caption for this hijab fashion photo. The hijab style is called "' + displayName + '". ' + (details.length > 0 ? 'Product details:\n' + details.join('\n') + '\n' : '') + 'Include relevant hashtags. Keep it elegant, inspiring, and suitable for a fashion/lifestyle account. Output ONLY the caption text, nothing else.'
             },
             {
               inlineData: {
@@ -425,76 +594,180 @@ async function generateCaption(imagePath, hijabName) {
     return 'Beautiful hijab style. #hijabfashion #modestfashion';
   } catch (error) {
     console.error('Error generating caption:', error.message);
-    return 'Elegant ' + displayName + ' hijab fashion. #hijabstyle #modestfashion #' + hijabName.replace(/_/g, '');
+    const tags = product && product.tags ? product.tags : [hijabName.replace(/_/g, '')];
+    return 'Elegant ' + displayName + ' hijab fashion.' + (product && product.shopLink ? ' Shop: ' + product.shopLink : '') + ' #hijabstyle #modestfashion ' + tags.map(tag => '#' + tag).join(' ');
+  }
+}
+
+/**
+ * Crop the Instagram variants (1:1, 4:5, 1.91:1, 9:16) of a saved image.
+ * A failure only loses the variants, which the dashboard can create later.
+ */
+async function createInstagramVariants(filename) {
+  if (!CREATE_VARIANTS) {
+    return [];
+  }
+  for (const variant of Object.keys(INSTAGRAM_VARIANTS)) {
+    pendingImageFiles.add(path.join(OUTPUT_DIR, variantFilename(filename, variant)));
+  }
+  try {
+    return await createAllVariants(OUTPUT_DIR, filename);
+  } catch (error) {
+    console.warn('Could not create Instagram variants for ' + filename + ': ' + error.message);
+    return [];
+  }
+}
+
+/**
+ * Create the dashboard thumbnails of a saved image. A failure only means the
+ * dashboard creates them later, so it is logged rather than thrown.
+ */
+async function createImageThumbnails(filename) {
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    pendingImageFiles.add(path.join(OUTPUT_DIR, thumbnailFilename(filename, size)));
+  }
+  try {
+    await createThumbnails(OUTPUT_DIR, filename);
+  } catch (error) {
+    console.warn('Could not create thumbnails for ' + filename + ': ' + error.message);
+  }
+}
+
+/**
+ * Stop tracking an image's files (and its variants', thumbnails' and alternates') once it is recorded
+ */
+function forgetPendingFiles(filename) {
+  pendingImageFiles.delete(path.join(OUTPUT_DIR, filename));
+  for (const variant of Object.keys(INSTAGRAM_VARIANTS)) {
+    pendingImageFiles.delete(path.join(OUTPUT_DIR, variantFilename(filename, variant)));
+  }
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    pendingImageFiles.delete(path.join(OUTPUT_DIR, thumbnailFilename(filename, size)));
+  }
+  const alternatePrefix = path.join(OUTPUT_DIR, ALTERNATES_DIR_NAME, path.parse(filename).name + '_alt');
+  for (const file of pendingImageFiles) {
+    if (file.startsWith(alternatePrefix)) {
+      pendingImageFiles.delete(file);
+    }
   }
 }
 
 /**
- * Load existing gallery data
+ * Perceptual hash of a saved image and the closest existing lookalike in the
+ * gallery, as { phash, duplicateOf }. Hashing problems only cost the
+ * duplicate check, so they are logged rather than thrown.
  */
-async function loadGalleryData() {
-  const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
+async function checkForDuplicates(filename) {
   try {
-    if (await fs.pathExists(galleryPath)) {
-      const data = await fs.readFile(galleryPath, 'utf-8');
-      return JSON.parse(data);
+    const phash = await computeImageHash(path.join(OUTPUT_DIR, filename));
+    const nearest = findNearestDuplicate(phash, gallery.listImageHashes());
+    if (nearest) {
+      console.warn('Near-duplicate of gallery image ' + nearest.id + ' (' + nearest.distance + ' of 64 bits differ)');
     }
+    return { phash, duplicateOf: nearest ? nearest.id : null };
   } catch (error) {
-    console.log('No existing gallery data found, starting fresh');
+    console.warn('Could not hash ' + filename + ': ' + error.message);
+    return {};
+  }
+}
+
+/**
+ * Record a generated image, its variants and its alternates in the gallery database
+ */
+function saveGalleryEntry(entry, variants, alternates = []) {
+  gallery.addImage(entry);
+  for (const variant of variants) {
+    gallery.saveVariant(entry.id, variant);
+  }
+  for (const alternate of alternates) {
+    gallery.saveAlternate(entry.id, alternate);
   }
-  return { images: [] };
+  const extras = [];
+  if (variants.length > 0) extras.push(variants.length + ' Instagram variants');
+  if (alternates.length > 0) extras.push(alternates.length + ' alternates');
+  console.log('Saved ' + entry.filename + ' to the gallery' + (extras.length > 0 ? ' with ' + extras.join(' and ') : ''));
 }
 
 /**
- * Save gallery data
+ * Record a failed generation so the dashboard can show why an image is
+ * missing. Only the most recent failures are kept.
  */
-async function saveGalleryData(galleryData) {
-  const galleryPath = path.join(OUTPUT_DIR, 'gallery.json');
-  await fs.writeFile(galleryPath, JSON.stringify(galleryData, null, 2));
-  console.log('Gallery data saved to ' + galleryPath);
+function recordFailure(hijabStyle, error) {
+  gallery.addFailure({
+    id: nextImageId(),
+    hijabStyle: hijabStyle,
+    provider: IMAGE_PROVIDER,
+    model: IMAGE_MODEL || getProvider(IMAGE_PROVIDER).defaultModel,
+    errorClass: error.errorClass || ERROR_CLASSES.UNKNOWN,
+    message: error.message,
+    attempts: error.attempts || 1,
+    seed: SEED,
+    createdAt: new Date().toISOString()
+  }, MAX_RECORDED_FAILURES);
 }
 
 /**
- * Detect image format from buffer magic bytes
+ * Image bytes from a provider result (URL or base64 data)
  */
-function detectImageFormat(buffer) {
-  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
-    return 'jpg';
+async function readImageData(imageData) {
+  if (imageData.startsWith('data:') || !imageData.startsWith('http')) {
+    // Base64 data
+    const base64Data = imageData.includes(',') ? imageData.split(',')[1] : imageData;
+    return Buffer.from(base64Data, 'base64');
   }
-  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
-    return 'png';
+  
+  // URL - download it
+  const response = await fetch(imageData);
+  if (!response.ok) {
+    throw new Error('Failed to download image: ' + response.statusText);
   }
-  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) {
-    return 'gif';
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Run the quality gate on a generated image. A rejected image is moved to
+ * output_folder/rejected/ and a QUALITY ProviderError is thrown.
+ */
+async function checkQuality(buffer, outputPath, entry) {
+  if (!QUALITY_GATE) {
+    return;
+  }
+  const quality = await checkImageQuality(buffer);
+  if (!quality.ok) {
+    // Name the file after its actual format, like saveImage does
+    const filename = path.parse(outputPath).name + '.' + detectImageFormat(buffer);
+    const rejectedPath = await quarantineImage(OUTPUT_DIR, filename, buffer, quality.reason, entry);
+    console.warn('Rejected by quality gate: ' + quality.reason + ' (moved to ' + path.relative(__dirname, rejectedPath) + ')');
+    throw new ProviderError(quality.reason, { errorClass: ERROR_CLASSES.QUALITY, provider: entry.provider });
+  }
+}
+
+/**
+ * Score the hijab color of a generated image against --color. Returns the
+ * colorMatch recorded on the gallery entry, or null when there is nothing to
+ * compare; analysis problems only cost the score, so they are logged.
+ */
+async function matchHijabColor(buffer) {
+  if (!COLOR_REFERENCE) {
+    return null;
   }
-  if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46) {
-    return 'webp';
+  try {
+    const colorMatch = await scoreColorMatch(buffer, COLOR_REFERENCE);
+    console.log('Hijab color match: ' + colorMatch.score + '/100 (wanted ' + colorMatch.target + ', found ' + colorMatch.detected + ')');
+    return colorMatch;
+  } catch (error) {
+    console.warn('Could not check the hijab color: ' + error.message);
+    return null;
   }
-  return 'png'; // default
 }
 
 /**
- * Save image (from URL or base64 data) to output folder
+ * Save an image to the output folder, with the provenance fields of `entry`
+ * embedded in the file (PNG and JPEG)
  * Returns the actual file extension used
  */
-async function saveImage(imageData, outputPath) {
+async function saveImage(buffer, outputPath, entry) {
   try {
-    let buffer;
-    
-    if (imageData.startsWith('data:') || !imageData.startsWith('http')) {
-      // Base64 data
-      const base64Data = imageData.includes(',') ? imageData.split(',')[1] : imageData;
-      buffer = Buffer.from(base64Data, 'base64');
-    } else {
-      // URL - download it
-      const response = await fetch(imageData);
-      if (!response.ok) {
-        throw new Error('Failed to download image: ' + response.statusText);
-      }
-      const arrayBuffer = await response.arrayBuffer();
-      buffer = Buffer.from(arrayBuffer);
-    }
-    
     // Detect actual format and fix extension if needed
     const actualFormat = detectImageFormat(buffer);
     const currentExt = path.extname(outputPath).toLowerCase().replace('.', '');
@@ -506,8 +779,16 @@ async function saveImage(imageData, outputPath) {
       console.log('Detected ' + actualFormat.toUpperCase() + ' format, saving as: ' + path.basename(finalPath));
     }
     
+    try {
+      buffer = embedMetadata(buffer, entry) || buffer;
+    } catch (error) {
+      console.warn('Could not embed metadata in ' + path.basename(finalPath) + ': ' + error.message);
+    }
+    
+    pendingImageFiles.add(finalPath);
     await fs.writeFile(finalPath, buffer);
     console.log('Saved image to: ' + finalPath);
+    await createImageThumbnails(path.basename(finalPath));
     
     return path.basename(finalPath); // Return the actual filename
   } catch (error) {
@@ -516,6 +797,228 @@ async function saveImage(imageData, outputPath) {
   }
 }
 
+/**
+ * Lookalike of a gallery image within the duplicate threshold, as its id, or
+ * null. Hashing problems only cost the check, so they count as no lookalike.
+ */
+async function findGalleryLookalike(buffer) {
+  try {
+    const nearest = findNearestDuplicate(await computeImageHash(buffer), gallery.listImageHashes());
+    return nearest ? nearest.id : null;
+  } catch (error) {
+    console.warn('Could not hash candidate: ' + error.message);
+    return null;
+  }
+}
+
+/**
+ * Run the candidate checks on one generated image. A candidate rejected by
+ * the quality gate comes back with passed: false and the error.
+ */
+async function evaluateCandidate(buffer, { entry, outputPath }) {
+  const candidate = { buffer, entry, outputPath, passed: true, duplicateOf: null };
+  if (CANDIDATE_CHECKS.has('quality')) {
+    try {
+      await checkQuality(buffer, outputPath, entry);
+    } catch (error) {
+      if (error.errorClass !== ERROR_CLASSES.QUALITY) {
+        throw error;
+      }
+      return { ...candidate, passed: false, error };
+    }
+  }
+  if (CANDIDATE_CHECKS.has('color')) {
+    const colorMatch = await matchHijabColor(buffer);
+    if (colorMatch) {
+      candidate.entry = { ...entry, colorMatch };
+    }
+  }
+  // Only worth hashing when there is a choice to make
+  if (CANDIDATE_CHECKS.has('duplicate') && CANDIDATE_COUNT > 1) {
+    candidate.duplicateOf = await findGalleryLookalike(buffer);
+  }
+  return candidate;
+}
+
+/**
+ * Generate --variants candidates, in as few calls as the provider's
+ * maxCandidates allows, and check each one. describe() is called for every
+ * candidate and returns its gallery entry and output path. Candidate n is
+ * generated with seed + n, so providers that take a seed give different
+ * images when called in a loop. options are added to the generation
+ * parameters sent to the provider.
+ */
+async function generateCandidates(styleImages, hijabImage, prompt, describe, options = {}) {
+  const provider = getProvider(IMAGE_PROVIDER);
+  const candidates = [];
+  while (candidates.length < CANDIDATE_COUNT) {
+    const count = Math.min(CANDIDATE_COUNT - candidates.length, provider.maxCandidates || 1);
+    const seed = (SEED + candidates.length) % (MAX_SEED + 1);
+    let images;
+    try {
+      images = await generateImages(styleImages, hijabImage, prompt, count, { ...GENERATION_PARAMS, ...options, seed });
+    } catch (error) {
+      if (candidates.length === 0) {
+        throw error;
+      }
+      console.warn('Continuing with ' + candidates.length + ' of ' + CANDIDATE_COUNT + ' candidates');
+      break;
+    }
+    for (const imageData of images) {
+      const { entry, outputPath } = describe();
+      const candidateSeed = (SEED + candidates.length) % (MAX_SEED + 1);
+      const candidateEntry = { ...entry, params: { ...entry.params, seed: candidateSeed } };
+      candidates.push(await evaluateCandidate(await readImageData(imageData), { entry: candidateEntry, outputPath }));
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Candidates that passed the quality gate, best first: images that are not
+ * lookalikes of gallery images, then the highest hijab color score, then the
+ * earliest generated
+ */
+function rankCandidates(candidates) {
+  const colorScore = candidate => (candidate.entry.colorMatch ? candidate.entry.colorMatch.score : 0);
+  return candidates
+    .filter(candidate => candidate.passed)
+    .sort((a, b) => (a.duplicateOf ? 1 : 0) - (b.duplicateOf ? 1 : 0) || colorScore(b) - colorScore(a) || a.entry.id - b.entry.id);
+}
+
+/**
+ * Save runner-up candidates as alternates of a saved image, with their
+ * provenance embedded. Returns the records for saveGalleryEntry.
+ */
+async function saveAlternates(filename, candidates) {
+  const alternates = [];
+  for (const [index, candidate] of candidates.entries()) {
+    const rank = index + 2;
+    const format = detectImageFormat(candidate.buffer);
+    pendingImageFiles.add(path.join(OUTPUT_DIR, alternateFilename(filename, rank, format)));
+    let buffer = candidate.buffer;
+    try {
+      buffer = embedMetadata(buffer, candidate.entry) || buffer;
+    } catch (error) {
+      console.warn('Could not embed metadata in alternate ' + rank + ': ' + error.message);
+    }
+    try {
+      alternates.push({
+        rank,
+        filename: await createAlternate(OUTPUT_DIR, filename, rank, format, buffer),
+        checks: {
+          seed: candidate.entry.params.seed,
+          colorMatch: candidate.entry.colorMatch || null,
+          duplicateOf: candidate.duplicateOf
+        }
+      });
+    } catch (error) {
+      console.warn('Could not save alternate ' + rank + ' of ' + filename + ': ' + error.message);
+    }
+  }
+  return alternates;
+}
+
+/**
+ * Generate an image and save it. With --variants several candidates are
+ * generated and ranked (see rankCandidates); the best is saved and the others
+ * are kept as alternates. The run generates again when the quality gate
+ * rejects every candidate (up to --quality-retries times) or, in color mode,
+ * when the best hijab color scores below --min-color-score (up to
+ * --color-retries times, keeping the best match). describe() is called for
+ * each candidate and returns its gallery entry and output path; options go
+ * to generateCandidates. Returns { entry, filename, alternates }.
+ */
+async function generateAndSave(styleImages, hijabImage, prompt, describe, options = {}) {
+  let qualityRetries = 0;
+  let colorRetries = 0;
+  let ranked = [];
+  for (;;) {
+    const candidates = await generateCandidates(styleImages, hijabImage, prompt, describe, options);
+    const passed = candidates.filter(candidate => candidate.passed);
+    ranked = rankCandidates([...ranked, ...passed]);
+    if (passed.length === 0) {
+      if (qualityRetries >= QUALITY_RETRIES) {
+        if (ranked.length > 0) break;
+        throw candidates[candidates.length - 1].error;
+      }
+      qualityRetries++;
+      console.warn('Generating again (quality retry ' + qualityRetries + ' of ' + QUALITY_RETRIES + ')...');
+      continue;
+    }
+    
+    const { colorMatch } = ranked[0].entry;
+    if (!colorMatch || colorMatch.score >= MIN_COLOR_SCORE || colorRetries >= COLOR_RETRIES) {
+      break;
+    }
+    colorRetries++;
+    console.warn('Hijab color is below ' + MIN_COLOR_SCORE + '; generating again (color retry ' + colorRetries + ' of ' + COLOR_RETRIES + ')...');
+  }
+  
+  const [winner, ...runnersUp] = ranked;
+  if (winner.entry.colorMatch && winner.entry.colorMatch.score < MIN_COLOR_SCORE) {
+    console.warn('Best hijab color match is ' + winner.entry.colorMatch.score + '/100, below ' + MIN_COLOR_SCORE);
+  }
+  if (CANDIDATE_COUNT > 1) {
+    console.log('Kept the best of ' + ranked.length + ' candidate(s)' + (winner.duplicateOf ? ' (every candidate looks like a gallery image)' : ''));
+  }
+  const filename = await saveImage(winner.buffer, winner.outputPath, winner.entry);
+  const alternates = CANDIDATE_COUNT > 1 ? await saveAlternates(filename, runnersUp) : [];
+  return { entry: winner.entry, filename, alternates };
+}
+
+/**
+ * --listing-pack: generate the main image, LIFESTYLE_SHOTS lifestyle shots
+ * and a detail close-up for one hijab folder, record them in the gallery and
+ * export them as an Amazon listing zip (see lib/listing-pack.js). The main
+ * and detail shots use the folder's first photo; lifestyle shots take its
+ * photos in turn and are the only ones set in the --scene. Throws when a
+ * shot fails or the pack does not pass the listing rules.
+ */
+async function generateListingPack(hijabImages, styleImagePaths, inputStyleImages, sceneBackgrounds) {
+  const shots = [
+    { role: 'main', hijabImage: hijabImages[0] },
+    ...Array.from({ length: LIFESTYLE_SHOTS }, (_, index) => ({ role: 'lifestyle', hijabImage: hijabImages[index % hijabImages.length] })),
+    { role: 'detail', hijabImage: hijabImages[0] }
+  ];
+  
+  const filenames = [];
+  for (const [index, { role, hijabImage }] of shots.entries()) {
+    const template = listingTemplates[role];
+    const shotScene = role === 'lifestyle' ? scene : null;
+    console.log('Listing shot ' + (index + 1) + ' of ' + shots.length + ': ' + role + ' (' + template.name + ' template' + (shotScene ? ', ' + shotScene.name + ' scene' : '') + ', ' + path.basename(hijabImage.path) + ')');
+    try {
+      const effectivePrompt = buildPrompt(styleImagePaths.length, hijabImage, template, shotScene);
+      const referenceImages = shotScene ? [...inputStyleImages, ...sceneBackgrounds] : inputStyleImages;
+      // The main image must be on white; providers that can set the background take it from options
+      const { entry, filename, alternates } = await generateAndSave(referenceImages, hijabImage, effectivePrompt,
+        describeGeneration(styleImagePaths, hijabImage, effectivePrompt, template, shotScene),
+        role === 'main' ? { background: 'white' } : {});
+      saveGalleryEntry({ ...entry, filename, caption: '', ...(await checkForDuplicates(filename)) }, [], alternates);
+      forgetPendingFiles(filename);
+      filenames.push(filename);
+    } catch (error) {
+      console.error('Failed to generate the ' + role + ' shot:', error.message);
+      recordFailure(hijabImage.name, error);
+      throw error;
+    }
+  }
+  
+  const pack = await exportListingPack(OUTPUT_DIR, LISTING_SKU, {
+    main: filenames[0],
+    lifestyle: filenames.slice(1, -1),
+    detail: filenames[filenames.length - 1]
+  });
+  for (const image of pack.images) {
+    const status = image.problems.length > 0 ? 'FAILED: ' + image.problems.join('; ') : 'ok';
+    console.log('  ' + image.name + ' <- ' + image.source + ' (' + image.width + 'x' + image.height + ') ' + status);
+  }
+  if (!pack.zipFile) {
+    throw new Error('Listing pack ' + LISTING_SKU + ' does not meet the listing rules; see output_folder/' + pack.reportFile);
+  }
+  console.log('Listing pack saved to output_folder/' + pack.zipFile);
+}
+
 /**
  * Main function to process images
  */
@@ -527,13 +1030,35 @@ Usage: node index.js [options] [hijab_folder]
 
 Options:
   --hijab <folder>     Specify hijab folder (e.g., Tanjiro_Anime_Print)
-  --color <color>     Specify hijab color instead of folder (e.g., "black", "lime green")
+  --hijab-file <path> Use a single hijab photo, <folder>/<file> in hijab_input (e.g., mint_green/front.jpg; not with --hijab)
+  --color <color>     Specify hijab color instead of folder: a CSS name or hex code (e.g., "black", "lime green", "#32cd32")
   --style <file>      Use a specific style image (repeatable; path or filename in style_input)
   --styles <list>     Comma-separated list of style images (path or filenames in style_input)
-  --provider <name>   Image provider: gemini (default) or openai
+  --provider <name>   Image provider: ${getProviderNames().join(', ')} (default: gemini)
   --model <name>      Override image model name for the selected provider
   --prompt <text>     Override the generation prompt
+  --template <name>   Prompt template from prompt_templates/ (default: default, amazon with --amazon)
+  --scene <name>      Scene preset from scene_presets/ added to the prompt (e.g., studio-grey, beach, ramadan-eid)
+  --model-ref <name>  Keep the model's face consistent using the portraits in model_input/<name> (gemini, openai)
+  --strength <0-1>    How strongly the style reference is applied (stability)
+  --seed <number>     Seed for style/hijab selection and the provider (random and recorded if omitted)
+  --aspect <ratio>    Output aspect ratio, e.g. 4:5 (stability, color mode)
+  --retries <n>       Retries for rate limits, 5xx, timeouts and empty responses (default: 3)
+  --timeout <seconds> Per-attempt provider timeout (default: 300)
+  --concurrency <n>   Parallel requests when a hijab folder has several images (default: 1)
+  --rpm <n>           Override the provider's requests-per-minute limit
+  --max-edge <px>     Downsize inputs whose longest edge is larger (default: ${DEFAULT_MAX_EDGE}, env INPUT_MAX_EDGE)
+  --job <id>          Tag gallery entries with a dashboard job id (with --job-run <n>)
   --amazon            Use Amazon product photo style (white background, standing model)
+  --no-variants       Skip cropping Instagram variants (1:1, 4:5, 1.91:1, 9:16)
+  --variants <n>      Generate n candidates per image and keep the best (default: 1, max: ${MAX_CANDIDATES}; alias --candidates)
+  --candidate-checks <list> Checks that rank candidates: ${CANDIDATE_CHECK_NAMES.join(',')} (default: all)
+  --quality-retries <n> Generate again when the quality gate rejects an image (default: 0)
+  --no-quality-gate   Save images without checking for blank, tiny or broken output
+  --min-color-score <0-100> Hijab color match counted as correct in color mode (default: ${DEFAULT_MIN_COLOR_SCORE})
+  --color-retries <n> Generate again when the hijab color scores lower (default: 0)
+  --listing-pack <SKU> Generate an Amazon listing pack for the hijab folder: main, lifestyle and detail shots zipped as output_folder/listings/<SKU>.zip
+  --lifestyle-shots <n> Lifestyle shots in a listing pack (default: 2, max: ${MAX_LISTING_IMAGES - 2})
   --caption           Generate Instagram caption for the image (default: no caption)
   --help, -h          Show this help message
 
@@ -543,7 +1068,15 @@ Examples:
   node index.js --provider gemini              # Random hijab folder
   node index.js --color "lime green"           # Generate with lime green hijab
   node index.js --color black --amazon         # Black hijab, Amazon style
+  node index.js --color black --template amazon   # Same, naming the template
+  node index.js --color "#c8a2c8" --color-retries 2  # Retry until the hijab matches the shade
+  node index.js --hijab mint_green --variants 4   # Best of 4 candidates, the rest kept as alternates
+  node index.js --color black --scene cafe     # Black hijab in a café
+  node index.js --hijab mint_green --model-ref amira   # Same model as in model_input/amira
+  node index.js --hijab mint_green --listing-pack HJ-MINT-01   # Amazon listing zip for SKU HJ-MINT-01
   node index.js --style IMG_001.jpg --prompt "Custom prompt here"
+  node index.js --provider mock                # Offline placeholder images, no API key
+  node index.js --provider stability --strength 0.7 --seed 42
     `);
     process.exit(0);
   }
@@ -553,21 +1086,113 @@ Examples:
     await fs.ensureDir(STYLE_INPUT_DIR);
     await fs.ensureDir(HIJAB_INPUT_DIR);
     await fs.ensureDir(OUTPUT_DIR);
+    gallery = openGallery(OUTPUT_DIR);
     
-    // Check for API keys based on provider
-    if (IMAGE_PROVIDER === 'gemini') {
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY is not set in environment variables');
+    // Validate provider and its API key
+    const provider = getProvider(IMAGE_PROVIDER);
+    if (!provider) {
+      throw new Error('Unknown provider "' + IMAGE_PROVIDER + '". Available providers: ' + getProviderNames().join(', '));
+    }
+    if (provider.envKey && !process.env[provider.envKey]) {
+      throw new Error(provider.envKey + ' is not set in environment variables');
+    }
+    if (GENERATION_PARAMS.strength !== undefined && !(GENERATION_PARAMS.strength >= 0 && GENERATION_PARAMS.strength <= 1)) {
+      throw new Error('--strength must be a number between 0 and 1');
+    }
+    if (!(SEED >= 0 && SEED <= MAX_SEED)) {
+      throw new Error('--seed must be an integer between 0 and ' + MAX_SEED);
+    }
+    if (HIJAB_FILE_PARTS) {
+      if (CLI_ARGS.hijabFolder) {
+        throw new Error('--hijab-file already names its folder; do not combine it with --hijab');
       }
-      console.log('Starting image generation process...');
-      console.log('Using Google Gemini ' + (IMAGE_MODEL || 'gemini-3-pro-image-preview') + ' model');
-    } else {
-      if (!process.env.OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY is not set in environment variables');
+      if (HIJAB_FILE_PARTS.length !== 2 || HIJAB_FILE_PARTS.some(part => part.startsWith('.'))) {
+        throw new Error('--hijab-file must be <folder>/<file> inside hijab_input/, e.g. mint_green/front.jpg (got "' + CLI_ARGS.hijabFile + '")');
+      }
+      const hijabFilePath = path.join(HIJAB_INPUT_DIR, HIJAB_FOLDER, HIJAB_FILE);
+      if (!(await fs.pathExists(hijabFilePath)) || !(await fs.stat(hijabFilePath)).isFile()) {
+        throw new Error('Hijab image not found: hijab_input/' + HIJAB_FOLDER + '/' + HIJAB_FILE);
       }
-      console.log('Starting image generation process...');
-      console.log('Using OpenAI ' + (IMAGE_MODEL || 'gpt-image-1') + ' model');
     }
+    if (!(MAX_RETRIES >= 0)) {
+      throw new Error('--retries must be 0 or more');
+    }
+    if (!(GENERATION_TIMEOUT_MS > 0)) {
+      throw new Error('--timeout must be a positive number of seconds');
+    }
+    if (!(QUALITY_RETRIES >= 0)) {
+      throw new Error('--quality-retries must be 0 or more');
+    }
+    if (!(CANDIDATE_COUNT >= 1 && CANDIDATE_COUNT <= MAX_CANDIDATES)) {
+      throw new Error('--variants must be between 1 and ' + MAX_CANDIDATES);
+    }
+    const unknownCheck = (CLI_ARGS.candidateChecks || []).find(check => !CANDIDATE_CHECK_NAMES.includes(check));
+    if (unknownCheck) {
+      throw new Error('Unknown candidate check "' + unknownCheck + '". Use: ' + CANDIDATE_CHECK_NAMES.join(', '));
+    }
+    if (!(MIN_COLOR_SCORE >= 0 && MIN_COLOR_SCORE <= 100)) {
+      throw new Error('--min-color-score must be a number between 0 and 100');
+    }
+    if (!(COLOR_RETRIES >= 0)) {
+      throw new Error('--color-retries must be 0 or more');
+    }
+    if (!(CONCURRENCY >= 1)) {
+      throw new Error('--concurrency must be 1 or more');
+    }
+    if (REQUESTS_PER_MINUTE !== null && !(REQUESTS_PER_MINUTE > 0)) {
+      throw new Error('--rpm must be a positive number');
+    }
+    if (!(INPUT_MAX_EDGE >= 256)) {
+      throw new Error('--max-edge must be at least 256 pixels');
+    }
+    if (GENERATION_PARAMS.aspectRatio && !/^\d+:\d+$/.test(GENERATION_PARAMS.aspectRatio)) {
+      throw new Error('--aspect must look like WIDTH:HEIGHT, e.g. 4:5');
+    }
+    if (LISTING_SKU) {
+      if (!isValidSku(LISTING_SKU)) {
+        throw new Error('--listing-pack needs a SKU of 1-40 letters, digits, "-" or "_"');
+      }
+      if (!HIJAB_FOLDER || HIJAB_COLOR) {
+        throw new Error('--listing-pack needs a hijab folder (--hijab <folder>) and cannot be used with --color');
+      }
+      if (CUSTOM_PROMPT) {
+        throw new Error('--listing-pack uses its own prompt templates, so it cannot be used with --prompt (or IMAGE_PROMPT)');
+      }
+      if (!(LIFESTYLE_SHOTS >= 1 && LIFESTYLE_SHOTS <= MAX_LISTING_IMAGES - 2)) {
+        throw new Error('--lifestyle-shots must be between 1 and ' + (MAX_LISTING_IMAGES - 2));
+      }
+      listingTemplates = {};
+      for (const [role, name] of Object.entries(LISTING_TEMPLATE_NAMES)) {
+        listingTemplates[role] = await loadTemplate(name);
+      }
+      console.log('Listing pack ' + LISTING_SKU + ' templates: ' + Object.entries(listingTemplates).map(([role, template]) => role + ' ' + template.name + ' (v' + template.version + ')').join(', '));
+    } else if (!CUSTOM_PROMPT) {
+      promptTemplate = await loadTemplate(TEMPLATE_NAME);
+      console.log('Using prompt template: ' + promptTemplate.name + ' (v' + promptTemplate.version + ')');
+    }
+    if (SCENE_NAME) {
+      if (AMAZON_MODE && !LISTING_SKU) {
+        throw new Error('--scene cannot be used with --amazon, which needs a white background');
+      }
+      scene = await loadScene(SCENE_NAME);
+      console.log('Using scene: ' + scene.name + ' (v' + scene.version + ')' + (scene.backgroundPaths.length > 0 ? ' with ' + scene.backgroundPaths.length + ' reference background(s)' : ''));
+    }
+    if (MODEL_REF) {
+      if (!provider.acceptsModelImages) {
+        throw new Error('--model-ref needs a provider that takes reference portraits (' + listProviders().filter(p => p.acceptsModelImages).map(p => p.name).join(', ') + ')');
+      }
+      persona = await loadPersona(MODEL_REF);
+      console.log('Using model persona: ' + persona.name + ' (' + persona.portraitPaths.map(p => path.basename(p)).join(', ') + ')');
+    }
+    // Providers with maxStyleImages get no more style images than they send,
+    // so the prompt counts the images the provider actually sees
+    const maxStyleImages = provider.maxStyleImages || Infinity;
+    if (scene && scene.backgroundPaths.length > 0 && provider.maxStyleImages) {
+      throw new Error('Scene "' + scene.name + '" has reference backgrounds, which the ' + provider.name + ' provider cannot use (it takes ' + provider.maxStyleImages + ' reference image(s))');
+    }
+    console.log('Starting image generation process...');
+    console.log('Seed: ' + SEED + ' (pass --seed ' + SEED + ' to repeat this selection)');
+    console.log('Using ' + provider.label + ' ' + (IMAGE_MODEL || provider.defaultModel) + ' model');
     
     let styleImagePaths = [];
     
@@ -584,6 +1209,10 @@ Examples:
         resolved.push(imgPath);
       }
       styleImagePaths = resolved;
+      if (styleImagePaths.length > maxStyleImages) {
+        styleImagePaths = styleImagePaths.slice(0, maxStyleImages);
+        console.log(provider.label + ' takes ' + maxStyleImages + ' style image(s) per call; using the first');
+      }
       console.log('Using provided style images:', styleImagePaths.map(p => path.basename(p)));
     } else {
       // Get style images
@@ -593,35 +1222,56 @@ Examples:
         throw new Error('No image files found in ' + STYLE_INPUT_DIR);
       }
       
-      if (styleImageFiles.length < 3) {
+      if (styleImageFiles.length < Math.min(3, maxStyleImages)) {
         console.warn('Warning: Only ' + styleImageFiles.length + ' style images found. Using all available images.');
       }
       
-      // Select 3 random style images
-      const selectedStyleImages = getRandomItems(styleImageFiles, Math.min(3, styleImageFiles.length));
+      // Select 3 random style images (or as many as the provider takes)
+      const selectedStyleImages = sample(styleImageFiles, Math.min(3, maxStyleImages, styleImageFiles.length), random);
       styleImagePaths = selectedStyleImages.map(img => path.join(STYLE_INPUT_DIR, img));
       
       console.log('Selected ' + selectedStyleImages.length + ' style images:', selectedStyleImages);
     }
     
-    // Handle color mode vs hijab folder mode
-    if (HIJAB_COLOR) {
+    // Convert HEIC/GIF and shrink large photos once; provenance keeps the original names
+    const inputStyleImages = [];
+    for (const stylePath of styleImagePaths) {
+      inputStyleImages.push(await prepareInput(stylePath));
+    }
+    // Scene backgrounds follow the style images (see buildPrompt)
+    const sceneBackgrounds = [];
+    for (const backgroundPath of scene ? scene.backgroundPaths : []) {
+      sceneBackgrounds.push(await prepareInput(backgroundPath));
+    }
+    const referenceImages = [...inputStyleImages, ...sceneBackgrounds];
+    for (const portraitPath of persona ? persona.portraitPaths : []) {
+      inputPortraits.push(await prepareInput(portraitPath));
+    }
+    
+    // Handle listing pack vs color mode vs hijab folder mode
+    if (LISTING_SKU) {
+      const hijabImages = await getHijabImages();
+      if (hijabImages.length === 0) {
+        throw new Error('No hijab images found for the listing pack');
+      }
+      await generateListingPack(hijabImages, styleImagePaths, inputStyleImages, sceneBackgrounds);
+    } else if (HIJAB_COLOR) {
       // Color mode: generate single image with specified color
       console.log('Using hijab color mode: ' + HIJAB_COLOR);
+      if (COLOR_REFERENCE) {
+        console.log('Reference color: ' + COLOR_REFERENCE.hex + ' (' + COLOR_REFERENCE.name + ')');
+      } else {
+        console.warn('"' + HIJAB_COLOR + '" is not a CSS color name or hex code, so the hijab color will not be checked');
+      }
       
       try {
-        const effectivePrompt = buildPrompt(styleImagePaths.length);
-        const imageData = await generateImage(styleImagePaths, null);
-        
-        // Create output filename
-        const timestamp = Date.now();
-        const colorName = HIJAB_COLOR.replace(/\s+/g, '_').toLowerCase();
-        const tempFilename = colorName + '_' + timestamp + '.png';
-        const tempPath = path.join(OUTPUT_DIR, tempFilename);
+        const effectivePrompt = buildPrompt(styleImagePaths.length, null);
         
-        // Save the image (returns actual filename with correct extension)
-        const actualFilename = await saveImage(imageData, tempPath);
+        // Generate and save the image (the filename gets the correct extension)
+        const { entry, filename: actualFilename, alternates } = await generateAndSave(referenceImages, null, effectivePrompt,
+          describeGeneration(styleImagePaths, null, effectivePrompt));
         const actualPath = path.join(OUTPUT_DIR, actualFilename);
+        const variants = await createInstagramVariants(actualFilename);
         
         // Generate caption only if --caption flag is passed
         let caption = '';
@@ -630,20 +1280,11 @@ Examples:
           console.log('Caption: ' + caption.substring(0, 100) + '...');
         }
         
-        // Reload gallery from disk (in case other processes added images) then append
-        const freshGallery = await loadGalleryData();
-        freshGallery.images.push({
-          id: timestamp,
-          filename: actualFilename,
-          hijabStyle: HIJAB_COLOR,
-          caption: caption,
-          prompt: effectivePrompt,
-          createdAt: new Date().toISOString(),
-          provider: IMAGE_PROVIDER
-        });
-        await saveGalleryData(freshGallery);
+        saveGalleryEntry({ ...entry, filename: actualFilename, caption, ...(await checkForDuplicates(actualFilename)) }, variants, alternates);
+        forgetPendingFiles(actualFilename);
       } catch (error) {
         console.error('Failed to generate image with color ' + HIJAB_COLOR + ':', error.message);
+        recordFailure(HIJAB_COLOR, error);
         throw error;
       }
     } else {
@@ -656,48 +1297,36 @@ Examples:
       
       console.log('Found ' + hijabImages.length + ' hijab images');
       
-      // Generate images for each hijab style
-      const effectivePrompt = buildPrompt(styleImagePaths.length);
-      for (const hijabImage of hijabImages) {
+      // Generate images for each hijab style, several at a time if --concurrency allows
+      const concurrency = Math.min(CONCURRENCY, provider.maxConcurrency || CONCURRENCY);
+      if (concurrency > 1) {
+        console.log('Generating with up to ' + concurrency + ' parallel requests');
+      }
+      await runPool(hijabImages, async (hijabImage) => {
         try {
-          const imageData = await generateImage(styleImagePaths, hijabImage);
-          
-          // Create output filename
-          const timestamp = Date.now();
-          const tempFilename = hijabImage.name + '_' + timestamp + '.png';
-          const tempPath = path.join(OUTPUT_DIR, tempFilename);
+          const effectivePrompt = buildPrompt(styleImagePaths.length, hijabImage);
           
-          // Save the image (returns actual filename with correct extension)
-          const actualFilename = await saveImage(imageData, tempPath);
+          // Generate and save the image (the filename gets the correct extension)
+          const { entry, filename: actualFilename, alternates } = await generateAndSave(referenceImages, hijabImage, effectivePrompt,
+            describeGeneration(styleImagePaths, hijabImage, effectivePrompt));
           const actualPath = path.join(OUTPUT_DIR, actualFilename);
+          const variants = await createInstagramVariants(actualFilename);
           
           // Generate caption only if --caption flag is passed
           let caption = '';
           if (GENERATE_CAPTION) {
-            caption = await generateCaption(actualPath, hijabImage.name);
+            caption = await generateCaption(actualPath, hijabImage.name, hijabImage.product);
             console.log('Caption: ' + caption.substring(0, 100) + '...');
           }
           
-          // Reload gallery from disk (in case other processes added images) then append
-          const freshGallery = await loadGalleryData();
-          freshGallery.images.push({
-            id: timestamp,
-            filename: actualFilename,
-            hijabStyle: hijabImage.name,
-            caption: caption,
-            prompt: effectivePrompt,
-            createdAt: new Date().toISOString(),
-            provider: IMAGE_PROVIDER
-          });
-          await saveGalleryData(freshGallery);
-          
-          // Add a small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          saveGalleryEntry({ ...entry, filename: actualFilename, caption, ...(await checkForDuplicates(actualFilename)) }, variants, alternates);
+          forgetPendingFiles(actualFilename);
         } catch (error) {
           console.error('Failed to process hijab image ' + hijabImage.name + ':', error.message);
+          recordFailure(hijabImage.name, error);
           // Continue with next image
         }
-      }
+      }, { concurrency });
     }
     
     console.log('Image generation process completed!');
@@ -0,0 +1,48 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Runner-up candidates from --variants runs
+ *
+ * When several candidates are generated for one image, the best one becomes
+ * the gallery image and the others are kept in output_folder/alternates/ as
+ * <name>_alt<rank>.<ext>, recorded against the winner. They are not gallery
+ * entries of their own; the dashboard shows them from the winner's card.
+ */
+
+export const ALTERNATES_DIR_NAME = 'alternates';
+
+/**
+ * Path (relative to the output folder) of an image's alternate with the given
+ * rank (2 for the runner-up, ...)
+ */
+export function alternateFilename(imageFilename, rank, format) {
+  return ALTERNATES_DIR_NAME + '/' + path.parse(imageFilename).name + '_alt' + rank + '.' + format;
+}
+
+/**
+ * Write an alternate's encoded image and return its filename relative to outputDir
+ */
+export async function createAlternate(outputDir, imageFilename, rank, format, buffer) {
+  const filename = alternateFilename(imageFilename, rank, format);
+  const targetPath = path.join(outputDir, filename);
+  await fs.ensureDir(path.dirname(targetPath));
+  await fs.writeFile(targetPath, buffer);
+  return filename;
+}
+
+/**
+ * Delete the alternates of an image
+ */
+export async function removeAlternateFiles(outputDir, imageFilename) {
+  const dir = path.join(outputDir, ALTERNATES_DIR_NAME);
+  if (!(await fs.pathExists(dir))) {
+    return;
+  }
+  const prefix = path.parse(imageFilename).name + '_alt';
+  for (const file of await fs.readdir(dir)) {
+    if (file.startsWith(prefix)) {
+      await fs.remove(path.join(dir, file));
+    }
+  }
+}
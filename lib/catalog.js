@@ -0,0 +1,232 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isValidSku } from './listing-pack.js';
+
+/**
+ * Product catalog
+ *
+ * A hijab folder can describe the product it shows in
+ * hijab_input/<folder>/product.json:
+ *
+ *   {
+ *     "title": "Rose Silk Hijab",
+ *     "sku": "HJ-ROSE-01",
+ *     "price": "$29.99",
+ *     "fabric": "mulberry silk",
+ *     "colors": ["dusty rose"],
+ *     "shopLink": "https://shop.example.com/rose-silk",
+ *     "tags": ["silkhijab", "modestfashion"]
+ *   }
+ *
+ * Every field is optional. The title, fabric and colors are added to the
+ * generation prompt, everything is given to the caption generator, and the
+ * dashboard shows the product on cards and can edit it. A whole catalog can
+ * be imported from a CSV file with a "folder" column (see parseCatalogCsv).
+ */
+
+export const PRODUCT_FILE = 'product.json';
+
+export const PRODUCT_FIELDS = ['title', 'sku', 'price', 'fabric', 'colors', 'shopLink', 'tags'];
+
+const LIST_FIELDS = new Set(['colors', 'tags']);
+
+// CSV headers accepted for each field, besides the field name itself
+const CSV_ALIASES = {
+  shopLink: ['shop_link', 'link', 'url'],
+  colors: ['color', 'colours']
+};
+
+function isValidFolder(folder) {
+  return typeof folder === 'string' && !!folder && !folder.startsWith('.') && !/[\\/]/.test(folder);
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[;|,]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate product fields and return them cleaned up (strings trimmed,
+ * colors and tags as arrays, tags without "#", empty fields dropped).
+ * Throws on an invalid SKU or shop link.
+ */
+export function normalizeProduct(input) {
+  const product = {};
+  for (const field of PRODUCT_FIELDS) {
+    const value = input ? input[field] : undefined;
+    if (LIST_FIELDS.has(field)) {
+      const items = toList(value).map(item => (field === 'tags' ? item.replace(/^#/, '') : item));
+      if (items.length > 0) product[field] = items;
+    } else if (value !== undefined && value !== null && String(value).trim()) {
+      product[field] = String(value).trim();
+    }
+  }
+  if (product.sku && !isValidSku(product.sku)) {
+    throw new Error('SKU must be 1-40 letters, digits, "-" or "_": ' + product.sku);
+  }
+  if (product.shopLink && !/^https?:\/\/\S+$/.test(product.shopLink)) {
+    throw new Error('Shop link must be an http(s) URL: ' + product.shopLink);
+  }
+  return product;
+}
+
+/**
+ * The product of a hijab folder, or null when it has no (readable) product.json
+ */
+export async function loadProduct(hijabInputDir, folder) {
+  if (!isValidFolder(folder)) {
+    return null;
+  }
+  const productPath = path.join(hijabInputDir, folder, PRODUCT_FILE);
+  if (!(await fs.pathExists(productPath))) {
+    return null;
+  }
+  try {
+    return normalizeProduct(JSON.parse(await fs.readFile(productPath, 'utf-8')));
+  } catch (error) {
+    console.warn('Ignoring ' + folder + '/' + PRODUCT_FILE + ': ' + error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a folder's product.json (removed when every field is empty) and
+ * return the saved product
+ */
+export async function saveProduct(hijabInputDir, folder, input) {
+  const folderPath = path.join(hijabInputDir, folder);
+  if (!isValidFolder(folder) || !(await fs.pathExists(folderPath))) {
+    throw new Error('Hijab folder not found: ' + folder);
+  }
+  const product = normalizeProduct(input);
+  const productPath = path.join(folderPath, PRODUCT_FILE);
+  if (Object.keys(product).length === 0) {
+    await fs.remove(productPath);
+  } else {
+    await fs.writeJson(productPath, product, { spaces: 2 });
+  }
+  return product;
+}
+
+/**
+ * Products by hijab folder, for every folder that has one
+ */
+export async function listCatalog(hijabInputDir) {
+  const catalog = {};
+  if (!(await fs.pathExists(hijabInputDir))) {
+    return catalog;
+  }
+  for (const folder of (await fs.readdir(hijabInputDir)).sort()) {
+    const product = await loadProduct(hijabInputDir, folder);
+    if (product) {
+      catalog[folder] = product;
+    }
+  }
+  return catalog;
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold commas,
+ * newlines and "" for a quote)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Parse a catalog CSV: a header row with "folder" and any of the product
+ * fields (shop_link is accepted for shopLink; colors and tags are lists
+ * separated by ",", ";" or "|"). Returns [{ folder, product }] with
+ * unvalidated products.
+ */
+export function parseCatalogCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('The catalog CSV is empty');
+  }
+  const columns = header.map(name => {
+    const key = name.trim().toLowerCase().replace(/\s+/g, '_');
+    if (key === 'folder') return 'folder';
+    return PRODUCT_FIELDS.find(field => field.toLowerCase() === key.replace(/_/g, '') || (CSV_ALIASES[field] || []).includes(key)) || null;
+  });
+  if (!columns.includes('folder')) {
+    throw new Error('The catalog CSV needs a "folder" column');
+  }
+  return rows.map(cells => {
+    const values = {};
+    columns.forEach((column, index) => {
+      if (column && cells[index] !== undefined) values[column] = cells[index].trim();
+    });
+    const { folder, ...product } = values;
+    return { folder: folder || '', product };
+  });
+}
+
+/**
+ * Import a catalog CSV into the folders' product.json files. Fields the CSV
+ * leaves out keep their current values. Returns { imported, skipped } with
+ * the imported folders and { folder, reason } for rows that were not.
+ */
+export async function importCatalogCsv(hijabInputDir, text) {
+  const imported = [];
+  const skipped = [];
+  for (const { folder, product } of parseCatalogCsv(text)) {
+    try {
+      const current = (await loadProduct(hijabInputDir, folder)) || {};
+      const changes = Object.fromEntries(Object.entries(product).filter(([, value]) => value !== ''));
+      await saveProduct(hijabInputDir, folder, { ...current, ...changes });
+      imported.push(folder);
+    } catch (error) {
+      skipped.push({ folder, reason: error.message });
+    }
+  }
+  return { imported, skipped };
+}
+
+/**
+ * Prompt text describing the product, or '' when the catalog has nothing
+ * that shows in a photo
+ */
+export function productPrompt(product) {
+  if (!product || !(product.title || product.fabric || product.colors)) {
+    return '';
+  }
+  let text = 'The hijab is ' + (product.title ? 'the "' + product.title + '"' : 'a product');
+  if (product.fabric) text += ', made of ' + product.fabric;
+  if (product.colors) text += ', in ' + product.colors.join(' and ');
+  return text + '; show the fabric\'s true texture and color.';
+}
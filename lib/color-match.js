@@ -0,0 +1,260 @@
+import sharp from 'sharp';
+
+/**
+ * Hijab color checks for --color mode
+ *
+ * --color accepts a CSS color name ("lime green", "LimeGreen") or a hex code
+ * ("#32cd32", "32cd32", "#3c3"), which is normalized to a reference color.
+ * After generation the upper center of the image, where the hijab frames the
+ * face, is reduced to a small palette and the palette color closest to the
+ * reference is compared in CIELAB (CIEDE2000). The result is a 0-100 score.
+ */
+
+// Scores below this count as the wrong color
+export const DEFAULT_MIN_COLOR_SCORE = 70;
+
+// Score lost per unit of CIEDE2000 difference (10 is clearly another shade)
+const SCORE_PER_DELTA_E = 2.5;
+// Palette colors covering less of the hijab area than this are ignored
+const MIN_PALETTE_SHARE = 0.1;
+const PALETTE_SIZE = 5;
+// Hijab area as fractions of the image: left, top, width, height
+const HIJAB_AREA = { left: 0.2, top: 0.05, width: 0.6, height: 0.45 };
+const SAMPLE_SIZE = 48;
+
+export const CSS_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalize a --color value to { input, name, hex, rgb }, where name is the
+ * CSS name (the closest one for hex codes). Returns null for descriptions
+ * that are neither, e.g. "dusty rose".
+ */
+export function parseColor(input) {
+  const text = String(input || '').trim().toLowerCase();
+  const name = text.replace(/[\s_-]+/g, '');
+  if (CSS_COLORS[name]) {
+    const hex = CSS_COLORS[name];
+    return { input, name, hex, rgb: hexToRgb(hex) };
+  }
+  
+  const match = text.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].length === 3 ? match[1].split('').map(d => d + d).join('') : match[1];
+  const hex = '#' + digits;
+  const rgb = hexToRgb(hex);
+  return { input, name: nearestColorName(rgb), hex, rgb };
+}
+
+/**
+ * The color as worded in prompts: the user's name (or the closest CSS name
+ * for a hex code) followed by the exact hex code
+ */
+export function describeColor(color) {
+  const label = /^#?[0-9a-f]+$/i.test(String(color.input).trim()) ? color.name : String(color.input).trim();
+  return label + ' (' + color.hex.toUpperCase() + ')';
+}
+
+function nearestColorName(rgb) {
+  const lab = rgbToLab(rgb);
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const [name, hex] of Object.entries(CSS_COLORS)) {
+    const distance = deltaE2000(lab, rgbToLab(hexToRgb(hex)));
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map(c => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  // sRGB to XYZ (D65), relative to the reference white
+  const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+  const y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+  const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ */
+export function deltaE2000([l1, a1, b1], [l2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const c1 = Math.hypot(a1, b1);
+  const c2 = Math.hypot(a2, b2);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const hue = (a, b) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1p = hue(a1p, b1);
+  const h2p = hue(a2p, b2);
+  
+  const dL = l2 - l1;
+  const dC = c2p - c1p;
+  let dh = 0;
+  if (c1p * c2p !== 0) {
+    dh = h2p - h1p;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin(dh / 2 * rad);
+  
+  const lMean = (l1 + l2) / 2;
+  const cMean = (c1p + c2p) / 2;
+  let hMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    hMean = Math.abs(h1p - h2p) > 180 ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2 : (h1p + h2p) / 2;
+  }
+  const t = 1 - 0.17 * Math.cos((hMean - 30) * rad) + 0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) - 0.2 * Math.cos((4 * hMean - 63) * rad);
+  const sl = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cMean;
+  const sh = 1 + 0.015 * cMean * t;
+  const cMeanP7 = Math.pow(cMean, 7);
+  const rt = -2 * Math.sqrt(cMeanP7 / (cMeanP7 + Math.pow(25, 7))) *
+    Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+  
+  return Math.sqrt(
+    Math.pow(dL / sl, 2) + Math.pow(dC / sc, 2) + Math.pow(dH / sh, 2) + rt * (dC / sc) * (dH / sh)
+  );
+}
+
+/**
+ * k-means palette of RGB pixels, largest share first: [{ rgb, share }]
+ */
+function extractPalette(pixels, size) {
+  const points = [];
+  for (let i = 0; i + 2 < pixels.length; i += 3) {
+    points.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+  }
+  // Deterministic start: pixels spread evenly through the brightness order
+  const byBrightness = [...points].sort((p, q) => (p[0] + p[1] + p[2]) - (q[0] + q[1] + q[2]));
+  let centres = Array.from({ length: size }, (_, k) => byBrightness[Math.floor((k + 0.5) * byBrightness.length / size)]);
+  let assignment = new Array(points.length).fill(0);
+  
+  for (let iteration = 0; iteration < 10; iteration++) {
+    assignment = points.map(p => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centres.forEach((c, k) => {
+        const distance = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+        if (distance < bestDistance) {
+          best = k;
+          bestDistance = distance;
+        }
+      });
+      return best;
+    });
+    const sums = centres.map(() => [0, 0, 0, 0]);
+    points.forEach((p, i) => {
+      const sum = sums[assignment[i]];
+      sum[0] += p[0];
+      sum[1] += p[1];
+      sum[2] += p[2];
+      sum[3]++;
+    });
+    centres = sums.map((sum, k) => (sum[3] ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centres[k]));
+  }
+  
+  const counts = centres.map((_, k) => assignment.filter(a => a === k).length);
+  return centres
+    .map((rgb, k) => ({ rgb, share: counts[k] / points.length }))
+    .filter(entry => entry.share > 0)
+    .sort((p, q) => q.share - p.share);
+}
+
+/**
+ * Score how closely the hijab area of an encoded image matches `color` (from
+ * parseColor). Returns { target, detected, score, palette }, with hex colors
+ * and the palette shares rounded for storage.
+ */
+export async function scoreColorMatch(buffer, color) {
+  const { data, info: { width, height } } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  const pixels = await sharp(data)
+    .extract({
+      left: Math.round(width * HIJAB_AREA.left),
+      top: Math.round(height * HIJAB_AREA.top),
+      width: Math.round(width * HIJAB_AREA.width),
+      height: Math.round(height * HIJAB_AREA.height)
+    })
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer();
+  
+  const palette = extractPalette(pixels, PALETTE_SIZE);
+  const targetLab = rgbToLab(color.rgb);
+  let closest = null;
+  for (const entry of palette.filter(e => e.share >= MIN_PALETTE_SHARE)) {
+    const distance = deltaE2000(targetLab, rgbToLab(entry.rgb));
+    if (!closest || distance < closest.distance) {
+      closest = { ...entry, distance };
+    }
+  }
+  
+  return {
+    target: color.hex,
+    detected: rgbToHex(closest.rgb),
+    score: Math.max(0, Math.round(100 - closest.distance * SCORE_PER_DELTA_E)),
+    palette: palette.map(entry => ({ hex: rgbToHex(entry.rgb), share: Math.round(entry.share * 100) / 100 }))
+  };
+}
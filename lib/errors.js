@@ -0,0 +1,121 @@
+/**
+ * Error classification for provider calls
+ *
+ * Every failure from a provider is normalised into a ProviderError with an
+ * errorClass, so the generator can decide whether to retry and the dashboard
+ * can show why an image is missing.
+ */
+
+export const ERROR_CLASSES = {
+  RATE_LIMIT: 'rate_limit',
+  SERVER_ERROR: 'server_error',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  EMPTY_RESPONSE: 'empty_response',
+  CONTENT_POLICY: 'content_policy',
+  AUTH: 'auth',
+  INVALID_REQUEST: 'invalid_request',
+  // Set by the generator when a returned image fails the quality gate
+  QUALITY: 'quality',
+  UNKNOWN: 'unknown'
+};
+
+// Worth another attempt; everything else fails fast
+const RETRYABLE_CLASSES = new Set([
+  ERROR_CLASSES.RATE_LIMIT,
+  ERROR_CLASSES.SERVER_ERROR,
+  ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.NETWORK,
+  ERROR_CLASSES.EMPTY_RESPONSE
+]);
+
+export class ProviderError extends Error {
+  constructor(message, { errorClass = ERROR_CLASSES.UNKNOWN, status = null, provider = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.errorClass = errorClass;
+    this.status = status;
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+  }
+  
+  get retryable() {
+    return RETRYABLE_CLASSES.has(this.errorClass);
+  }
+}
+
+const CONTENT_POLICY_PATTERN = /safety|content[ _-]?policy|moderation|content_filtered|blocked|prohibited|responsible ai/i;
+const AUTH_PATTERN = /api[ _-]?key|unauthori[sz]ed|invalid authentication|permission denied/i;
+const TIMEOUT_PATTERN = /timed? ?out|etimedout|deadline exceeded/i;
+const NETWORK_PATTERN = /econnreset|econnrefused|enotfound|eai_again|socket hang up|fetch failed|network error|connection error/i;
+const EMPTY_PATTERN = /no image data returned/i;
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+function classFromStatus(status, message) {
+  if (status === 429) return ERROR_CLASSES.RATE_LIMIT;
+  if (status === 408 || status === 504) return ERROR_CLASSES.TIMEOUT;
+  if (status >= 500) return ERROR_CLASSES.SERVER_ERROR;
+  if (status === 401 || status === 403) return ERROR_CLASSES.AUTH;
+  if (status >= 400) {
+    return CONTENT_POLICY_PATTERN.test(message) ? ERROR_CLASSES.CONTENT_POLICY : ERROR_CLASSES.INVALID_REQUEST;
+  }
+  return null;
+}
+
+/**
+ * Turn any error thrown by a provider (SDK error, fetch failure, plain Error)
+ * into a ProviderError
+ */
+export function classifyError(error, providerName = null) {
+  if (error instanceof ProviderError) {
+    if (!error.provider) error.provider = providerName;
+    return error;
+  }
+  
+  const message = (error && error.message) || String(error);
+  const status = error && typeof error.status === 'number' ? error.status : null;
+  let errorClass = null;
+  
+  if (error && error.name === 'AbortError') {
+    errorClass = ERROR_CLASSES.TIMEOUT;
+  } else if (status) {
+    errorClass = classFromStatus(status, message);
+  }
+  
+  if (!errorClass) {
+    const causeCode = error && error.cause && error.cause.code ? error.cause.code : '';
+    const text = message + ' ' + causeCode;
+    if (CONTENT_POLICY_PATTERN.test(text)) errorClass = ERROR_CLASSES.CONTENT_POLICY;
+    else if (TIMEOUT_PATTERN.test(text)) errorClass = ERROR_CLASSES.TIMEOUT;
+    else if (NETWORK_PATTERN.test(text)) errorClass = ERROR_CLASSES.NETWORK;
+    else if (AUTH_PATTERN.test(text)) errorClass = ERROR_CLASSES.AUTH;
+    else if (EMPTY_PATTERN.test(text)) errorClass = ERROR_CLASSES.EMPTY_RESPONSE;
+    else errorClass = ERROR_CLASSES.UNKNOWN;
+  }
+  
+  return new ProviderError(message, {
+    errorClass,
+    status,
+    provider: providerName,
+    retryAfterMs: parseRetryAfter(getHeader(error && error.headers, 'retry-after')),
+    cause: error
+  });
+}
@@ -0,0 +1,477 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite store for generated images, Instagram posts, generation failures and
+ * prompt history, shared by the generator and the dashboard
+ *
+ * The database runs in WAL mode with a busy timeout, so the dashboard and
+ * several generator processes can read and write it at the same time. Schema
+ * changes are appended to MIGRATIONS and applied in order on open
+ * (PRAGMA user_version tracks how many have run).
+ *
+ * Image rows are returned in the same shape gallery.json entries had
+ * (camelCase fields, postedToInstagram, ...), so templates and API clients
+ * keep working.
+ */
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE images (
+    id INTEGER PRIMARY KEY,
+    filename TEXT NOT NULL,
+    hijab_style TEXT NOT NULL,
+    caption TEXT NOT NULL DEFAULT '',
+    prompt TEXT,
+    template TEXT,
+    template_version INTEGER,
+    provider TEXT,
+    model TEXT,
+    params TEXT,
+    seed INTEGER,
+    style_images TEXT,
+    hijab_source TEXT,
+    favorited INTEGER NOT NULL DEFAULT 0,
+    job_id TEXT,
+    job_run INTEGER,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX images_hijab_style ON images (hijab_style);
+  CREATE INDEX images_job ON images (job_id, job_run);
+  
+  CREATE TABLE posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    platform TEXT NOT NULL DEFAULT 'instagram',
+    media_id TEXT,
+    caption TEXT,
+    posted_at TEXT NOT NULL
+  );
+  CREATE INDEX posts_image ON posts (image_id);
+  
+  CREATE TABLE failures (
+    id INTEGER PRIMARY KEY,
+    hijab_style TEXT,
+    provider TEXT,
+    model TEXT,
+    error_class TEXT NOT NULL,
+    message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    seed INTEGER,
+    created_at TEXT NOT NULL
+  );
+  
+  CREATE TABLE prompt_history (
+    prompt TEXT PRIMARY KEY,
+    used_at TEXT NOT NULL
+  );
+  
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  CREATE TABLE image_variants (
+    image_id INTEGER NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    variant TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    focus TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (image_id, variant)
+  );
+  `,
+  `
+  ALTER TABLE images ADD COLUMN phash TEXT;
+  ALTER TABLE images ADD COLUMN duplicate_of INTEGER REFERENCES images (id) ON DELETE SET NULL;
+  `,
+  `
+  ALTER TABLE images ADD COLUMN color_match TEXT;
+  `,
+  `
+  CREATE TABLE image_alternates (
+    image_id INTEGER NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    checks TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (image_id, rank)
+  );
+  `,
+  `
+  ALTER TABLE images ADD COLUMN scene TEXT;
+  ALTER TABLE images ADD COLUMN scene_version INTEGER;
+  `,
+  `
+  ALTER TABLE images ADD COLUMN model_ref TEXT;
+  `
+];
+
+const PROMPT_HISTORY_LIMIT = 10;
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// Columns of the images table, keyed by gallery entry field
+const IMAGE_COLUMNS = {
+  id: 'id',
+  filename: 'filename',
+  hijabStyle: 'hijab_style',
+  caption: 'caption',
+  prompt: 'prompt',
+  template: 'template',
+  templateVersion: 'template_version',
+  scene: 'scene',
+  sceneVersion: 'scene_version',
+  modelRef: 'model_ref',
+  provider: 'provider',
+  model: 'model',
+  params: 'params',
+  seed: 'seed',
+  styleImages: 'style_images',
+  hijabSource: 'hijab_source',
+  favorited: 'favorited',
+  jobId: 'job_id',
+  jobRun: 'job_run',
+  phash: 'phash',
+  duplicateOf: 'duplicate_of',
+  colorMatch: 'color_match',
+  createdAt: 'created_at'
+};
+const JSON_FIELDS = new Set(['params', 'styleImages', 'colorMatch']);
+
+function imageToRow(image) {
+  const row = {};
+  for (const [field, column] of Object.entries(IMAGE_COLUMNS)) {
+    let value = image[field];
+    if (JSON_FIELDS.has(field)) value = toJson(value);
+    else if (field === 'favorited') value = value ? 1 : 0;
+    else if (value === undefined) value = null;
+    row[column] = value;
+  }
+  if (row.caption === null) row.caption = '';
+  if (!row.created_at) row.created_at = new Date().toISOString();
+  return row;
+}
+
+function rowToImage(row) {
+  const image = {};
+  for (const [field, column] of Object.entries(IMAGE_COLUMNS)) {
+    const value = row[column];
+    if (JSON_FIELDS.has(field)) image[field] = parseJson(value, field === 'params' ? {} : null);
+    else if (field === 'favorited') image[field] = !!value;
+    else if (value !== null) image[field] = value;
+  }
+  if (image.template === undefined) image.template = null;
+  image.postedToInstagram = !!row.posted_at;
+  if (row.posted_at) {
+    image.postedAt = row.posted_at;
+    if (row.media_id) image.instagramMediaId = row.media_id;
+  }
+  return image;
+}
+
+function rowToVariant(row) {
+  return {
+    filename: row.filename,
+    width: row.width,
+    height: row.height,
+    focus: parseJson(row.focus, 'smart'),
+    createdAt: row.created_at
+  };
+}
+
+function rowToAlternate(row) {
+  return {
+    rank: row.rank,
+    filename: row.filename,
+    checks: parseJson(row.checks, {}),
+    createdAt: row.created_at
+  };
+}
+
+function rowToFailure(row) {
+  return {
+    id: row.id,
+    hijabStyle: row.hijab_style,
+    provider: row.provider,
+    model: row.model,
+    errorClass: row.error_class,
+    message: row.message,
+    attempts: row.attempts,
+    seed: row.seed,
+    createdAt: row.created_at
+  };
+}
+
+// Latest Instagram post per image, joined onto image queries
+const IMAGE_SELECT = `
+  SELECT images.*, post.posted_at, post.media_id
+  FROM images
+  LEFT JOIN (
+    SELECT image_id, MAX(posted_at) AS posted_at, media_id
+    FROM posts WHERE platform = 'instagram' GROUP BY image_id
+  ) AS post ON post.image_id = images.id
+`;
+
+function migrate(db) {
+  if (db.pragma('user_version', { simple: true }) >= MIGRATIONS.length) return;
+  
+  // Checked again inside the write lock in case another process just migrated
+  db.transaction(() => {
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      db.exec(MIGRATIONS[i]);
+    }
+    db.pragma('user_version = ' + Math.max(version, MIGRATIONS.length));
+  }).immediate();
+}
+
+export function openGalleryDb({ file }) {
+  fs.ensureDirSync(path.dirname(file));
+  const db = new Database(file);
+  db.pragma('busy_timeout = 10000');
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  
+  const columns = Object.values(IMAGE_COLUMNS);
+  const statements = {
+    insertImage: db.prepare('INSERT INTO images (' + columns.join(', ') + ') VALUES (' + columns.map(c => '@' + c).join(', ') + ')'),
+    getImage: db.prepare(IMAGE_SELECT + ' WHERE images.id = ?'),
+    imageVariants: db.prepare('SELECT * FROM image_variants WHERE image_id = ?'),
+    allVariants: db.prepare('SELECT * FROM image_variants'),
+    imageAlternates: db.prepare('SELECT * FROM image_alternates WHERE image_id = ? ORDER BY rank'),
+    allAlternates: db.prepare('SELECT * FROM image_alternates ORDER BY image_id, rank'),
+    saveAlternate: db.prepare('INSERT OR REPLACE INTO image_alternates (image_id, rank, filename, checks, created_at) VALUES (?, ?, ?, ?, ?)'),
+    saveVariant: db.prepare('INSERT INTO image_variants (image_id, variant, filename, width, height, focus, created_at) VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT (image_id, variant) DO UPDATE SET filename = excluded.filename, width = excluded.width, height = excluded.height, focus = excluded.focus, created_at = excluded.created_at'),
+    listImages: db.prepare(IMAGE_SELECT + ' ORDER BY images.id DESC'),
+    jobRunImageIds: db.prepare('SELECT id FROM images WHERE job_id = ? AND job_run = ? ORDER BY id'),
+    updateCaption: db.prepare('UPDATE images SET caption = ? WHERE id = ?'),
+    toggleFavorite: db.prepare('UPDATE images SET favorited = 1 - favorited WHERE id = ?'),
+    setImageHash: db.prepare('UPDATE images SET phash = ?, duplicate_of = ? WHERE id = ?'),
+    imageHashes: db.prepare('SELECT id, phash FROM images WHERE phash IS NOT NULL ORDER BY id'),
+    unhashedImages: db.prepare('SELECT id, filename FROM images WHERE phash IS NULL ORDER BY id'),
+    deleteImage: db.prepare('DELETE FROM images WHERE id = ?'),
+    insertPost: db.prepare('INSERT INTO posts (image_id, platform, media_id, caption, posted_at) VALUES (?, ?, ?, ?, ?)'),
+    insertFailure: db.prepare('INSERT INTO failures (id, hijab_style, provider, model, error_class, message, attempts, seed, created_at) VALUES (@id, @hijabStyle, @provider, @model, @errorClass, @message, @attempts, @seed, @createdAt)'),
+    // Legacy failures may repeat an id (Date.now() ids from concurrent runs); the first one wins
+    importFailure: db.prepare('INSERT OR IGNORE INTO failures (id, hijab_style, provider, model, error_class, message, attempts, seed, created_at) VALUES (@id, @hijabStyle, @provider, @model, @errorClass, @message, @attempts, @seed, @createdAt)'),
+    trimFailures: db.prepare('DELETE FROM failures WHERE id NOT IN (SELECT id FROM failures ORDER BY id DESC LIMIT ?)'),
+    listFailures: db.prepare('SELECT * FROM failures ORDER BY id DESC LIMIT ?'),
+    clearFailures: db.prepare('DELETE FROM failures'),
+    savePrompt: db.prepare('INSERT INTO prompt_history (prompt, used_at) VALUES (?, ?) ON CONFLICT (prompt) DO UPDATE SET used_at = excluded.used_at'),
+    trimPrompts: db.prepare('DELETE FROM prompt_history WHERE prompt NOT IN (SELECT prompt FROM prompt_history ORDER BY used_at DESC LIMIT ?)'),
+    listPrompts: db.prepare('SELECT prompt FROM prompt_history ORDER BY used_at DESC LIMIT ?'),
+    stats: db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(DISTINCT hijab_style) AS styles,
+        (SELECT COUNT(DISTINCT image_id) FROM posts) AS posted,
+        COALESCE(SUM(favorited), 0) AS favorited
+      FROM images
+    `),
+    hijabStyles: db.prepare('SELECT DISTINCT hijab_style FROM images ORDER BY hijab_style'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+  };
+  
+  // Instagram crops keyed by variant name (square, portrait, ...)
+  function variantsByName(rows) {
+    return Object.fromEntries(rows.map(row => [row.variant, rowToVariant(row)]));
+  }
+  
+  function getImage(id) {
+    const row = statements.getImage.get(id);
+    if (!row) return null;
+    const image = rowToImage(row);
+    image.variants = variantsByName(statements.imageVariants.all(id));
+    image.alternates = statements.imageAlternates.all(id).map(rowToAlternate);
+    return image;
+  }
+  
+  function listImages() {
+    const variantRows = new Map();
+    for (const row of statements.allVariants.all()) {
+      if (!variantRows.has(row.image_id)) variantRows.set(row.image_id, []);
+      variantRows.get(row.image_id).push(row);
+    }
+    const alternateRows = new Map();
+    for (const row of statements.allAlternates.all()) {
+      if (!alternateRows.has(row.image_id)) alternateRows.set(row.image_id, []);
+      alternateRows.get(row.image_id).push(row);
+    }
+    return statements.listImages.all().map(row => {
+      const image = rowToImage(row);
+      image.variants = variantsByName(variantRows.get(row.id) || []);
+      image.alternates = (alternateRows.get(row.id) || []).map(rowToAlternate);
+      return image;
+    });
+  }
+  
+  /**
+   * Record (or replace) an Instagram variant: { variant, filename, width, height, focus }
+   */
+  function saveVariant(imageId, { variant, filename, width, height, focus }) {
+    statements.saveVariant.run(imageId, variant, filename, width, height, toJson(focus), new Date().toISOString());
+  }
+  
+  /**
+   * Record a runner-up candidate of an image: { rank, filename, checks }
+   */
+  function saveAlternate(imageId, { rank, filename, checks }) {
+    statements.saveAlternate.run(imageId, rank, filename, toJson(checks), new Date().toISOString());
+  }
+  
+  function addImage(image) {
+    statements.insertImage.run(imageToRow(image));
+    return getImage(image.id);
+  }
+  
+  /**
+   * Remove one image, returning the removed entry (or null)
+   */
+  function deleteImage(id) {
+    const image = getImage(id);
+    if (image) statements.deleteImage.run(id);
+    return image;
+  }
+  
+  const deleteJobRunImages = db.transaction((jobId, runIndex) => {
+    const ids = statements.jobRunImageIds.all(jobId, runIndex).map(row => row.id);
+    const images = ids.map(getImage);
+    for (const id of ids) statements.deleteImage.run(id);
+    return images;
+  });
+  
+  function recordPost(id, { platform = 'instagram', mediaId = null, caption = null, postedAt = new Date().toISOString() } = {}) {
+    if (!getImage(id)) return null;
+    statements.insertPost.run(id, platform, mediaId, caption, postedAt);
+    return getImage(id);
+  }
+  
+  const addFailure = db.transaction((failure, keep) => {
+    statements.insertFailure.run({ seed: null, attempts: 1, ...failure });
+    if (keep) statements.trimFailures.run(keep);
+  });
+  
+  const savePrompt = db.transaction(prompt => {
+    statements.savePrompt.run(prompt, new Date().toISOString());
+    statements.trimPrompts.run(PROMPT_HISTORY_LIMIT);
+  });
+  
+  /**
+   * One-time import of gallery.json and prompt_history.json from before the
+   * database existed. Runs in a single transaction and is recorded in the meta
+   * table, so it never runs twice even if several processes start together.
+   */
+  const importLegacy = db.transaction(({ gallery, promptHistory }) => {
+    if (statements.getMeta.get('legacy_import')) return null;
+    
+    let images = 0;
+    let posts = 0;
+    for (const entry of (gallery && gallery.images) || []) {
+      if (!entry || !entry.id || !entry.filename || statements.getImage.get(entry.id)) continue;
+      statements.insertImage.run(imageToRow({ ...entry, hijabStyle: entry.hijabStyle || 'unknown' }));
+      images++;
+      if (entry.postedToInstagram) {
+        statements.insertPost.run(entry.id, 'instagram', entry.instagramMediaId || null, entry.caption || null, entry.postedAt || entry.createdAt || new Date().toISOString());
+        posts++;
+      }
+    }
+    for (const failure of (gallery && gallery.failures) || []) {
+      if (!failure || typeof failure.id !== 'number') continue;
+      statements.importFailure.run({
+        id: failure.id,
+        hijabStyle: failure.hijabStyle || null,
+        provider: failure.provider || null,
+        model: failure.model || null,
+        errorClass: failure.errorClass || 'unknown',
+        message: failure.message || null,
+        attempts: failure.attempts || 1,
+        seed: failure.seed === undefined ? null : failure.seed,
+        createdAt: failure.createdAt || new Date().toISOString()
+      });
+    }
+    // prompt_history.json is newest first
+    const prompts = Array.isArray(promptHistory) ? promptHistory : [];
+    const now = Date.now();
+    prompts.forEach((prompt, index) => {
+      if (typeof prompt === 'string' && prompt.trim()) {
+        statements.savePrompt.run(prompt.trim(), new Date(now - index * 1000).toISOString());
+      }
+    });
+    
+    const summary = { images, posts, prompts: prompts.length, importedAt: new Date().toISOString() };
+    statements.setMeta.run('legacy_import', JSON.stringify(summary));
+    return summary;
+  }).immediate;
+  
+  return {
+    db,
+    getImage,
+    addImage,
+    deleteImage,
+    deleteJobRunImages,
+    listImages,
+    saveVariant,
+    saveAlternate,
+    getJobRunImageIds: (jobId, runIndex) => statements.jobRunImageIds.all(jobId, runIndex).map(row => row.id),
+    updateCaption: (id, caption) => (statements.updateCaption.run(caption, id).changes ? getImage(id) : null),
+    toggleFavorite: id => (statements.toggleFavorite.run(id).changes ? getImage(id) : null),
+    setImageHash: (id, phash, duplicateOf = null) => statements.setImageHash.run(phash, duplicateOf, id),
+    listImageHashes: () => statements.imageHashes.all(),
+    listUnhashedImages: () => statements.unhashedImages.all(),
+    recordPost,
+    addFailure,
+    listFailures: (limit = 10) => statements.listFailures.all(limit).map(rowToFailure),
+    clearFailures: () => statements.clearFailures.run(),
+    savePrompt,
+    listPrompts: (limit = PROMPT_HISTORY_LIMIT) => statements.listPrompts.all(limit).map(row => row.prompt),
+    getStats: () => statements.stats.get(),
+    listHijabStyles: () => statements.hijabStyles.all().map(row => row.hijab_style),
+    importLegacy,
+    close: () => db.close()
+  };
+}
+
+/**
+ * Open the gallery database in outputDir, importing gallery.json and
+ * prompt_history.json the first time
+ */
+export function openGallery(outputDir) {
+  const gallery = openGalleryDb({ file: path.join(outputDir, 'gallery.db') });
+  const galleryFile = path.join(outputDir, 'gallery.json');
+  const promptHistoryFile = path.join(outputDir, 'prompt_history.json');
+  
+  const summary = gallery.importLegacy({
+    gallery: readLegacyJson(galleryFile) || readLegacyJson(galleryFile + '.bak'),
+    promptHistory: readLegacyJson(promptHistoryFile)
+  });
+  if (summary && (summary.images > 0 || summary.prompts > 0)) {
+    console.log('Imported ' + summary.images + ' images, ' + summary.posts + ' posts and ' + summary.prompts + ' prompts from gallery.json/prompt_history.json into gallery.db');
+  }
+  return gallery;
+}
+
+function readLegacyJson(file) {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+  } catch (error) {
+    console.warn('Could not read ' + file + ': ' + error.message);
+    return null;
+  }
+}
@@ -0,0 +1,177 @@
+import fs from 'fs-extra';
+import { pngChunk } from './png.js';
+
+/**
+ * Provenance embedded in generated image files
+ *
+ * The gallery fields below are written as JSON into the file itself, so a
+ * downloaded image still says how it was made: a PNG iTXt chunk with the
+ * keyword METADATA_KEY, or an XMP packet (APP1 segment) in a JPEG. Chunks and
+ * segments are inserted directly, without re-encoding the image. Other
+ * formats are saved unchanged.
+ */
+
+export const METADATA_KEY = 'instagram-photo-style-creator';
+
+export const EMBEDDED_FIELDS = [
+  'id', 'hijabStyle', 'prompt', 'template', 'templateVersion', 'scene', 'sceneVersion', 'modelRef',
+  'provider', 'model', 'params', 'seed', 'styleImages', 'hijabSource', 'colorMatch', 'createdAt'
+];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_ATTRIBUTE = 'isc:provenance';
+
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8;
+}
+
+function pickFields(entry) {
+  return Object.fromEntries(EMBEDDED_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
+
+/**
+ * Offsets of the PNG chunks: [{ type, start, dataStart, length }]
+ */
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, start: offset, dataStart: offset + 8, length });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function embedPng(buffer, json) {
+  // iTXt: keyword \0, compression flag, method, language tag \0, translated keyword \0, UTF-8 text
+  const data = Buffer.concat([
+    Buffer.from(METADATA_KEY, 'latin1'),
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(json, 'utf-8')
+  ]);
+  const chunk = pngChunk('iTXt', data);
+  
+  // Right after IHDR, which must come first
+  const ihdr = pngChunks(buffer)[0];
+  const insertAt = ihdr.dataStart + ihdr.length + 4;
+  return Buffer.concat([buffer.subarray(0, insertAt), chunk, buffer.subarray(insertAt)]);
+}
+
+function readPng(buffer) {
+  for (const chunk of pngChunks(buffer)) {
+    if (chunk.type !== 'iTXt' && chunk.type !== 'tEXt') continue;
+    const data = buffer.subarray(chunk.dataStart, chunk.dataStart + chunk.length);
+    const keywordEnd = data.indexOf(0);
+    if (data.toString('latin1', 0, keywordEnd) !== METADATA_KEY) continue;
+    if (chunk.type === 'tEXt') {
+      return data.toString('latin1', keywordEnd + 1);
+    }
+    // Skip compression flag and method, then the language tag and translated keyword
+    let offset = keywordEnd + 3;
+    offset = data.indexOf(0, offset) + 1;
+    offset = data.indexOf(0, offset) + 1;
+    return data.toString('utf-8', offset);
+  }
+  return null;
+}
+
+function embedJpeg(buffer, json) {
+  const xmp =
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:isc="urn:' + METADATA_KEY + ':1" ' +
+    XMP_ATTRIBUTE + '="' + escapeXml(json) + '"/>' +
+    '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+  const payload = Buffer.concat([Buffer.from(XMP_NAMESPACE, 'latin1'), Buffer.from(xmp, 'utf-8')]);
+  if (payload.length + 2 > 0xFFFF) {
+    throw new Error('Metadata too large for a JPEG XMP segment');
+  }
+  const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  
+  // After SOI and a JFIF APP0 segment, if there is one
+  let insertAt = 2;
+  if (buffer[2] === 0xFF && buffer[3] === 0xE0) {
+    insertAt = 4 + buffer.readUInt16BE(4);
+  }
+  return Buffer.concat([buffer.subarray(0, insertAt), header, payload, buffer.subarray(insertAt)]);
+}
+
+function readJpeg(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+    // Start of scan: image data follows, no more metadata segments
+    if (marker === 0xDA) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xE1) {
+      const segment = buffer.subarray(offset + 4, offset + 2 + length);
+      if (segment.toString('latin1', 0, XMP_NAMESPACE.length) === XMP_NAMESPACE) {
+        const xmp = segment.toString('utf-8', XMP_NAMESPACE.length);
+        const match = xmp.match(new RegExp(XMP_ATTRIBUTE + '="([^"]*)"'));
+        if (match) return unescapeXml(match[1]);
+      }
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Return a copy of an encoded PNG or JPEG with the provenance fields of
+ * `entry` embedded, or null when the format is not supported
+ */
+export function embedMetadata(buffer, entry) {
+  const json = JSON.stringify(pickFields(entry));
+  if (isPng(buffer)) return embedPng(buffer, json);
+  if (isJpeg(buffer)) return embedJpeg(buffer, json);
+  return null;
+}
+
+/**
+ * Provenance embedded in an encoded image, or null if there is none
+ */
+export function readMetadata(buffer) {
+  let json = null;
+  if (isPng(buffer)) json = readPng(buffer);
+  else if (isJpeg(buffer)) json = readJpeg(buffer);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+export async function readMetadataFromFile(filePath) {
+  return readMetadata(await fs.readFile(filePath));
+}
+
+/**
+ * Copy the provenance of one image file into another (e.g. a derived copy),
+ * returning whether there was any to copy
+ */
+export async function copyMetadata(sourcePath, targetPath) {
+  const metadata = await readMetadataFromFile(sourcePath);
+  if (!metadata) return false;
+  const embedded = embedMetadata(await fs.readFile(targetPath), metadata);
+  if (!embedded) return false;
+  await fs.writeFile(targetPath, embedded);
+  return true;
+}
@@ -0,0 +1,43 @@
+import path from 'path';
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.heic', '.heif'];
+
+export function isImageFile(filePath) {
+  return IMAGE_EXTENSIONS.some(ext => filePath.toLowerCase().endsWith(ext));
+}
+
+/**
+ * Get mime type from file extension
+ */
+export function getMimeType(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const mimeTypes = {
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'webp': 'image/webp',
+    'gif': 'image/gif',
+    'heic': 'image/heic',
+    'heif': 'image/heif'
+  };
+  return mimeTypes[ext] || 'image/png';
+}
+
+/**
+ * Detect image format from buffer magic bytes
+ */
+export function detectImageFormat(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpg';
+  }
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
+    return 'png';
+  }
+  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) {
+    return 'gif';
+  }
+  if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46) {
+    return 'webp';
+  }
+  return 'png'; // default
+}
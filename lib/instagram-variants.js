@@ -0,0 +1,129 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Feed-ready crops of generated images
+ *
+ * Instagram only accepts feed images between 4:5 and 1.91:1, and providers
+ * return whatever size they like. Each variant is cropped to its aspect ratio
+ * around a focus point and resized to Instagram's recommended width, then
+ * saved as JPEG in output_folder/variants/ next to the original.
+ */
+
+export const VARIANTS_DIR_NAME = 'variants';
+
+export const INSTAGRAM_VARIANTS = {
+  square: { label: '1:1 Square', width: 1080, height: 1080, mediaType: 'IMAGE' },
+  portrait: { label: '4:5 Portrait', width: 1080, height: 1350, mediaType: 'IMAGE' },
+  landscape: { label: '1.91:1 Landscape', width: 1080, height: 566, mediaType: 'IMAGE' },
+  story: { label: '9:16 Story', width: 1080, height: 1920, mediaType: 'STORIES' }
+};
+
+export const DEFAULT_VARIANT = 'portrait';
+
+// Named focus points, as fractions of the source width and height
+const FOCUS_PRESETS = {
+  center: { x: 0.5, y: 0.5 },
+  top: { x: 0.5, y: 0 },
+  bottom: { x: 0.5, y: 1 },
+  left: { x: 0, y: 0.5 },
+  right: { x: 1, y: 0.5 }
+};
+
+/**
+ * Normalise a focus option: 'smart' (default), a preset name, or { x, y }
+ * with both between 0 and 1. Returns null for anything else.
+ */
+export function parseFocus(focus) {
+  if (focus === undefined || focus === null || focus === '' || focus === 'smart') {
+    return 'smart';
+  }
+  if (typeof focus === 'string') {
+    return FOCUS_PRESETS[focus] ? focus : null;
+  }
+  const x = Number(focus.x);
+  const y = Number(focus.y);
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+    return null;
+  }
+  return { x, y };
+}
+
+export function variantFilename(imageFilename, variant) {
+  return VARIANTS_DIR_NAME + '/' + path.parse(imageFilename).name + '_' + variant + '.jpg';
+}
+
+/**
+ * Crop rectangle of the target aspect ratio, as large as the source allows,
+ * centred on the focus point and kept inside the image
+ */
+function cropAround(sourceWidth, sourceHeight, targetWidth, targetHeight, point) {
+  const scale = Math.min(sourceWidth / targetWidth, sourceHeight / targetHeight);
+  const width = Math.min(sourceWidth, Math.round(targetWidth * scale));
+  const height = Math.min(sourceHeight, Math.round(targetHeight * scale));
+  const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+  return {
+    left: clamp(point.x * sourceWidth - width / 2, sourceWidth - width),
+    top: clamp(point.y * sourceHeight - height / 2, sourceHeight - height),
+    width,
+    height
+  };
+}
+
+/**
+ * Write one variant of outputDir/imageFilename and return its record
+ * ({ variant, filename, width, height, focus })
+ */
+export async function createVariant(outputDir, imageFilename, variant, focus = 'smart') {
+  const spec = INSTAGRAM_VARIANTS[variant];
+  if (!spec) {
+    throw new Error('Unknown Instagram variant "' + variant + '". Available: ' + Object.keys(INSTAGRAM_VARIANTS).join(', '));
+  }
+  const parsedFocus = parseFocus(focus);
+  if (!parsedFocus) {
+    throw new Error('Invalid crop focus: ' + JSON.stringify(focus));
+  }
+
+  const sourcePath = path.join(outputDir, imageFilename);
+  const filename = variantFilename(imageFilename, variant);
+  const targetPath = path.join(outputDir, filename);
+  await fs.ensureDir(path.dirname(targetPath));
+
+  // Apply EXIF orientation first so focus points match what the dashboard shows
+  const source = sharp(sourcePath).rotate();
+  let pipeline;
+  if (parsedFocus === 'smart') {
+    // libvips attention strategy: crops towards skin tones, saturation and detail
+    pipeline = source.resize(spec.width, spec.height, { fit: 'cover', position: sharp.strategy.attention });
+  } else {
+    const point = typeof parsedFocus === 'string' ? FOCUS_PRESETS[parsedFocus] : parsedFocus;
+    const { data, info } = await source.toBuffer({ resolveWithObject: true });
+    pipeline = sharp(data)
+      .extract(cropAround(info.width, info.height, spec.width, spec.height, point))
+      .resize(spec.width, spec.height, { fit: 'cover' });
+  }
+
+  await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 92, mozjpeg: true }).toFile(targetPath);
+  return { variant, filename, width: spec.width, height: spec.height, focus: parsedFocus };
+}
+
+/**
+ * Create every Instagram variant of an image with smart cropping
+ */
+export async function createAllVariants(outputDir, imageFilename) {
+  const variants = [];
+  for (const variant of Object.keys(INSTAGRAM_VARIANTS)) {
+    variants.push(await createVariant(outputDir, imageFilename, variant));
+  }
+  return variants;
+}
+
+/**
+ * Delete the variant files of an image
+ */
+export async function removeVariantFiles(outputDir, imageFilename) {
+  for (const variant of Object.keys(INSTAGRAM_VARIANTS)) {
+    await fs.remove(path.join(outputDir, variantFilename(imageFilename, variant)));
+  }
+}
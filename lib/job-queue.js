@@ -0,0 +1,227 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createMutex } from './pool.js';
+
+/**
+ * Persistent background queue for generation requests
+ *
+ * Each job runs `count` generator runs one after another; jobs themselves are
+ * processed one at a time in the order they were queued. Job state is written
+ * to `file` after every change so queued work survives a dashboard restart,
+ * and every change is emitted as an 'update' event for live progress.
+ *
+ * Job statuses: queued -> running -> done | failed | cancelled
+ * Run statuses:  queued -> running -> done | failed | cancelled
+ *
+ * executeRun(job, run, signal) receives an AbortSignal that fires when the
+ * job is cancelled while that run is in flight.
+ */
+export function createJobQueue({ file, executeRun, keepFinished = 50 }) {
+  const events = new EventEmitter();
+  const writeLock = createMutex();
+  let jobs = [];
+  let processing = false;
+  let currentRun = null; // { job, controller } while a run is executing
+  
+  function persist() {
+    const snapshot = JSON.stringify(jobs, null, 2);
+    return writeLock(async () => {
+      await fs.ensureDir(path.dirname(file));
+      await fs.writeFile(file, snapshot);
+    });
+  }
+  
+  function publish(job) {
+    job.updatedAt = new Date().toISOString();
+    events.emit('update', job);
+    return persist();
+  }
+  
+  function isFinished(job) {
+    return job.status === 'done' || job.status === 'failed' || job.status === 'cancelled';
+  }
+  
+  /**
+   * Load jobs from disk. Runs that were in flight when the dashboard stopped
+   * are marked failed and their jobs re-queued to finish the remaining runs.
+   */
+  async function load() {
+    try {
+      if (await fs.pathExists(file)) {
+        const parsed = JSON.parse(await fs.readFile(file, 'utf-8'));
+        if (Array.isArray(parsed)) jobs = parsed;
+      }
+    } catch (error) {
+      console.error('Error loading jobs:', error.message);
+      jobs = [];
+    }
+    
+    for (const job of jobs) {
+      if (job.status !== 'running') continue;
+      for (const run of job.runs) {
+        if (run.status === 'running') {
+          run.status = 'failed';
+          run.error = 'Interrupted by dashboard restart';
+          run.finishedAt = new Date().toISOString();
+        }
+      }
+      job.status = 'queued';
+    }
+    
+    await persist();
+    processQueue();
+  }
+  
+  function enqueue({ args, count, request }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: 'job_' + Date.now().toString(36) + crypto.randomBytes(3).toString('hex'),
+      status: 'queued',
+      args,
+      request,
+      runs: Array.from({ length: count }, (_, index) => ({ index, status: 'queued', imageIds: [] })),
+      createdAt: now,
+      updatedAt: now
+    };
+    jobs.push(job);
+    
+    // Drop the oldest finished jobs beyond the history limit
+    const finished = jobs.filter(isFinished);
+    if (finished.length > keepFinished) {
+      const drop = new Set(finished.slice(0, finished.length - keepFinished));
+      jobs = jobs.filter(j => !drop.has(j));
+    }
+    
+    // The job is already queued in memory; a failed write is retried with
+    // the next change
+    publish(job).catch(error => console.error('Error saving jobs:', error.message));
+    processQueue();
+    return job;
+  }
+  
+  async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await publish(job);
+    
+    for (const run of job.runs) {
+      if (job.status === 'cancelled') break;
+      if (run.status !== 'queued') continue;
+      
+      const controller = new AbortController();
+      currentRun = { job, controller };
+      run.status = 'running';
+      run.startedAt = new Date().toISOString();
+      await publish(job);
+      
+      try {
+        const result = await executeRun(job, run, controller.signal);
+        run.status = 'done';
+        run.imageIds = (result && result.imageIds) || [];
+      } catch (error) {
+        if (controller.signal.aborted) {
+          run.status = 'cancelled';
+        } else {
+          run.status = 'failed';
+          run.error = error.message;
+        }
+      } finally {
+        currentRun = null;
+      }
+      run.finishedAt = new Date().toISOString();
+      await publish(job);
+    }
+    
+    if (job.status === 'cancelled') {
+      markRemainingCancelled(job);
+    } else {
+      job.status = job.runs.some(r => r.status === 'failed') ? 'failed' : 'done';
+    }
+    job.finishedAt = new Date().toISOString();
+    await publish(job);
+  }
+  
+  function markRemainingCancelled(job) {
+    for (const run of job.runs) {
+      if (run.status === 'queued') {
+        run.status = 'cancelled';
+      }
+    }
+  }
+  
+  /**
+   * Cancel a queued or running job. A running job has its in-flight run
+   * aborted; runs not yet started are skipped. Returns the job, or null if
+   * there is no such job. Finished jobs are returned unchanged.
+   */
+  async function cancel(id) {
+    const job = jobs.find(j => j.id === id);
+    if (!job || isFinished(job)) return job || null;
+    
+    const wasRunning = job.status === 'running';
+    job.status = 'cancelled';
+    
+    if (wasRunning) {
+      // runJob notices the status, marks the remaining runs and publishes
+      if (currentRun && currentRun.job === job) {
+        currentRun.controller.abort();
+      }
+    } else {
+      markRemainingCancelled(job);
+      job.finishedAt = new Date().toISOString();
+    }
+    await publish(job);
+    return job;
+  }
+  
+  /**
+   * Mark a job that runJob could not finish (e.g. jobs.json could not be
+   * written) as failed, so it does not stay "running"
+   */
+  async function failJob(job, error) {
+    console.error('Job queue error in ' + job.id + ':', error.message);
+    if (isFinished(job)) return;
+    for (const run of job.runs) {
+      if (run.status === 'queued' || run.status === 'running') {
+        run.status = 'failed';
+        run.error = run.error || error.message;
+        run.finishedAt = run.finishedAt || new Date().toISOString();
+      }
+    }
+    job.status = 'failed';
+    job.finishedAt = new Date().toISOString();
+    try {
+      await publish(job);
+    } catch (publishError) {
+      console.error('Error saving jobs:', publishError.message);
+    }
+  }
+  
+  async function processQueue() {
+    if (processing) return;
+    processing = true;
+    try {
+      let job;
+      while ((job = jobs.find(j => j.status === 'queued'))) {
+        try {
+          await runJob(job);
+        } catch (error) {
+          await failJob(job, error);
+        }
+      }
+    } finally {
+      processing = false;
+    }
+  }
+  
+  return {
+    events,
+    load,
+    enqueue,
+    cancel,
+    list: () => [...jobs].reverse(),
+    get: id => jobs.find(j => j.id === id) || null
+  };
+}
@@ -0,0 +1,279 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { createZip } from './zip.js';
+
+/**
+ * Amazon listing image packs
+ *
+ * A pack is the main image, lifestyle shots and a detail close-up for one
+ * SKU, exported as output_folder/listings/<SKU>.zip with the files named in
+ * Amazon's order: <SKU>.MAIN.jpg, then <SKU>.PT01.jpg, <SKU>.PT02.jpg, ...
+ *
+ * The main image is fitted onto a pure white square: the near-white
+ * background around the product is set to RGB 255, the product is cropped
+ * to its bounding box and scaled to fill LISTING_RULES.productFill of the
+ * frame. Every image is then checked against LISTING_RULES before the zip is
+ * written.
+ */
+
+export const LISTINGS_DIR_NAME = 'listings';
+
+export const LISTING_RULES = {
+  mainSize: 2000,
+  // Share of the main image's longest side the product must cover
+  productFill: 0.85,
+  // Longest side of the other images (Amazon's zoom minimum)
+  minSide: 1000,
+  // Channel value from which background pixels count as white before fitting
+  nearWhite: 235,
+  // Share of the generated main image's top and side edges that must already
+  // be near-white (the bottom is left out: a model is usually cut off there)
+  whiteEdge: 0.98
+};
+
+// Amazon allows MAIN plus eight other images
+export const MAX_LISTING_IMAGES = 9;
+
+const JPEG_OPTIONS = { quality: 92, mozjpeg: true };
+
+export function isValidSku(sku) {
+  return /^[A-Za-z0-9_-]{1,40}$/.test(sku);
+}
+
+/**
+ * Amazon slot names in order: MAIN, PT01, PT02, ...
+ */
+export function listingSlot(index) {
+  return index === 0 ? 'MAIN' : 'PT' + String(index).padStart(2, '0');
+}
+
+async function decodeRgb(input) {
+  return sharp(input)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Set near-white pixels connected to the image edge to pure white and return
+ * a mask of them (1 = background)
+ */
+function whitenBackground(pixels, width, height, threshold) {
+  const background = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let top = 0;
+  const visit = index => {
+    const i = index * 3;
+    if (!background[index] && pixels[i] >= threshold && pixels[i + 1] >= threshold && pixels[i + 2] >= threshold) {
+      background[index] = 1;
+      stack[top++] = index;
+    }
+  };
+  
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (top > 0) {
+    const index = stack[--top];
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < width * (height - 1)) visit(index + width);
+  }
+  
+  for (let index = 0; index < background.length; index++) {
+    if (background[index]) {
+      pixels.fill(255, index * 3, index * 3 + 3);
+    }
+  }
+  return background;
+}
+
+/**
+ * Bounding box of the pixels that are not background, or null
+ */
+function productBounds(width, height, isBackground) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isBackground(y * width + x)) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+  }
+  return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Fit a generated image onto a pure white mainSize square with the product
+ * filling productFill of it. Returns { buffer, problems }: the JPEG, and a
+ * problem when the generated background was not white to begin with (the
+ * fitted image would otherwise pass with the old background as "product").
+ */
+export async function prepareMainImage(input, rules = LISTING_RULES) {
+  const { data, info } = await decodeRgb(input);
+  const { width, height } = info;
+  const background = whitenBackground(data, width, height, rules.nearWhite);
+  const bounds = productBounds(width, height, index => background[index]);
+  if (!bounds) {
+    throw new Error('Main image is blank: no product found on the white background');
+  }
+  
+  const problems = [];
+  let whiteEdgePixels = 0;
+  for (let x = 0; x < width; x++) {
+    whiteEdgePixels += background[x];
+  }
+  for (let y = 1; y < height; y++) {
+    whiteEdgePixels += background[y * width] + background[y * width + width - 1];
+  }
+  const whiteEdge = whiteEdgePixels / (width + 2 * (height - 1));
+  if (whiteEdge < rules.whiteEdge) {
+    problems.push('generated background is not white (' + Math.round(whiteEdge * 100) + '% of the top and side edges are near-white)');
+  }
+  
+  const productSize = Math.round(rules.mainSize * rules.productFill);
+  const product = await sharp(data, { raw: info })
+    .extract(bounds)
+    .resize(productSize, productSize, { fit: 'inside', kernel: 'lanczos3' })
+    .toBuffer({ resolveWithObject: true });
+  const buffer = await sharp({ create: { width: rules.mainSize, height: rules.mainSize, channels: 3, background: '#ffffff' } })
+    .composite([{
+      input: product.data,
+      raw: { width: product.info.width, height: product.info.height, channels: product.info.channels },
+      left: Math.floor((rules.mainSize - product.info.width) / 2),
+      top: Math.floor((rules.mainSize - product.info.height) / 2)
+    }])
+    .jpeg(JPEG_OPTIONS)
+    .toBuffer();
+  return { buffer, problems };
+}
+
+/**
+ * Re-encode a lifestyle or detail shot as sRGB JPEG, upscaled when its
+ * longest side is below minSide
+ */
+export async function prepareSecondaryImage(input, rules = LISTING_RULES) {
+  const { info: { width, height } } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  const image = sharp(input).rotate().flatten({ background: '#ffffff' }).toColourspace('srgb');
+  if (Math.max(width, height) < rules.minSide) {
+    image.resize({ [width >= height ? 'width' : 'height']: rules.minSide, kernel: 'lanczos3' });
+  }
+  return image.jpeg(JPEG_OPTIONS).toBuffer();
+}
+
+/**
+ * Check an encoded pack image against the rules. Returns { width, height,
+ * problems }, with problems empty when it passes.
+ */
+export async function validateListingImage(buffer, isMain, rules = LISTING_RULES) {
+  const { data, info } = await decodeRgb(buffer);
+  const { width, height } = info;
+  const problems = [];
+  const metadata = await sharp(buffer).metadata();
+  if (metadata.format !== 'jpeg') {
+    problems.push('is ' + metadata.format + ', not JPEG');
+  }
+  
+  const minSide = isMain ? rules.mainSize : rules.minSide;
+  if (Math.max(width, height) < minSide) {
+    problems.push('longest side is ' + Math.max(width, height) + 'px (minimum ' + minSide + ')');
+  }
+  if (!isMain) {
+    return { width, height, problems };
+  }
+  
+  const isWhite = index => data[index * 3] === 255 && data[index * 3 + 1] === 255 && data[index * 3 + 2] === 255;
+  let edgePixels = 0;
+  let whiteEdgePixels = 0;
+  for (let index = 0; index < width * height; index++) {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+      edgePixels++;
+      if (isWhite(index)) whiteEdgePixels++;
+    }
+  }
+  if (whiteEdgePixels < edgePixels) {
+    problems.push('background is not pure white (' + Math.round(100 * whiteEdgePixels / edgePixels) + '% of edge pixels are RGB 255)');
+  }
+  
+  const bounds = productBounds(width, height, isWhite);
+  const fill = bounds ? Math.max(bounds.width / width, bounds.height / height) : 0;
+  // Allow a pixel or two of resampling at the product's edge
+  if (fill < rules.productFill - 0.005) {
+    problems.push('product fills ' + Math.round(fill * 100) + '% of the frame (minimum ' + Math.round(rules.productFill * 100) + '%)');
+  }
+  return { width, height, problems };
+}
+
+/**
+ * Build, check and zip a pack from saved images (filenames relative to
+ * outputDir): { main, lifestyle: [...], detail }. Returns { zipFile,
+ * reportFile, images } with each image's slot, name, size and problems. The
+ * zip is only written when every image passes; the report
+ * (listings/<SKU>.json) is written either way.
+ */
+export async function exportListingPack(outputDir, sku, { main, lifestyle = [], detail }) {
+  if (!isValidSku(sku)) {
+    throw new Error('SKU must be 1-40 letters, digits, "-" or "_": ' + sku);
+  }
+  const sources = [main, ...lifestyle, detail].filter(Boolean);
+  if (sources.length > MAX_LISTING_IMAGES) {
+    throw new Error('A listing holds at most ' + MAX_LISTING_IMAGES + ' images');
+  }
+  
+  const images = [];
+  for (const [index, source] of sources.entries()) {
+    const input = await fs.readFile(path.join(outputDir, source));
+    const isMain = index === 0;
+    const { buffer, problems } = isMain ? await prepareMainImage(input) : { buffer: await prepareSecondaryImage(input), problems: [] };
+    const check = await validateListingImage(buffer, isMain);
+    images.push({
+      slot: listingSlot(index),
+      name: sku + '.' + listingSlot(index) + '.jpg',
+      source,
+      buffer,
+      width: check.width,
+      height: check.height,
+      problems: [...problems, ...check.problems]
+    });
+  }
+  
+  const report = images.map(({ buffer, ...image }) => image);
+  const passed = report.every(image => image.problems.length === 0);
+  const zipFile = passed ? LISTINGS_DIR_NAME + '/' + sku + '.zip' : null;
+  const reportFile = LISTINGS_DIR_NAME + '/' + sku + '.json';
+  await fs.ensureDir(path.join(outputDir, LISTINGS_DIR_NAME));
+  const zipPath = path.join(outputDir, LISTINGS_DIR_NAME, sku + '.zip');
+  if (zipFile) {
+    await fs.writeFile(zipPath + '.tmp', createZip(images.map(image => ({ name: image.name, data: image.buffer }))));
+    await fs.move(zipPath + '.tmp', zipPath, { overwrite: true });
+  } else {
+    // Do not leave an earlier pack for this SKU looking current
+    await fs.remove(zipPath);
+  }
+  await fs.writeJson(path.join(outputDir, reportFile), {
+    sku,
+    createdAt: new Date().toISOString(),
+    rules: LISTING_RULES,
+    zipFile,
+    images: report
+  }, { spaces: 2 });
+  return { zipFile, reportFile, images: report };
+}
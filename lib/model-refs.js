@@ -0,0 +1,81 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isImageFile } from './images.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MODEL_INPUT_DIR = path.join(__dirname, '..', 'model_input');
+
+/**
+ * Model personas for --model-ref
+ *
+ * Each subfolder of model_input/ is a persona: reference portraits of one
+ * (virtual) model, e.g. model_input/amira/front.jpg. The first
+ * MAX_PORTRAITS portraits (by filename) are sent to the provider after the
+ * style images and scene backgrounds and before the hijab photo, and the
+ * prompt asks it to keep that person's identity.
+ */
+
+export const MAX_PORTRAITS = 3;
+
+function isValidName(name) {
+  return /^[\w-]+$/.test(name);
+}
+
+async function portraitFiles(dir) {
+  return (await fs.readdir(dir)).filter(file => isImageFile(file)).sort().slice(0, MAX_PORTRAITS);
+}
+
+/**
+ * Name and portrait filenames of every persona with at least one portrait
+ */
+export async function listPersonas() {
+  if (!(await fs.pathExists(MODEL_INPUT_DIR))) {
+    return [];
+  }
+  const personas = [];
+  for (const name of (await fs.readdir(MODEL_INPUT_DIR)).sort()) {
+    const dir = path.join(MODEL_INPUT_DIR, name);
+    if (!isValidName(name) || !(await fs.stat(dir)).isDirectory()) {
+      continue;
+    }
+    const portraits = await portraitFiles(dir);
+    if (portraits.length > 0) {
+      personas.push({ name, portraits });
+    }
+  }
+  return personas;
+}
+
+/**
+ * Load model_input/<name>: { name, portraitPaths }
+ */
+export async function loadPersona(name) {
+  if (!isValidName(name)) {
+    throw new Error('Invalid model persona name: ' + name);
+  }
+  const dir = path.join(MODEL_INPUT_DIR, name);
+  if (!(await fs.pathExists(dir)) || !(await fs.stat(dir)).isDirectory()) {
+    const available = (await listPersonas()).map(persona => persona.name).join(', ');
+    throw new Error('Model persona "' + name + '" not found in model_input/. Available personas: ' + (available || 'none'));
+  }
+  const portraits = await portraitFiles(dir);
+  if (portraits.length === 0) {
+    throw new Error('Model persona "' + name + '" has no portraits');
+  }
+  return { name, portraitPaths: portraits.map(file => path.join(dir, file)) };
+}
+
+/**
+ * Prompt text asking the provider to keep the persona's identity.
+ * firstPortrait is the 1-based position of the first portrait among the
+ * images sent to the provider.
+ */
+export function personaPrompt(persona, firstPortrait) {
+  const count = persona.portraitPaths.length;
+  const images = count === 1
+    ? 'Image ' + firstPortrait + ' is a reference portrait'
+    : 'Images ' + firstPortrait + ' to ' + (firstPortrait + count - 1) + ' are reference portraits';
+  return images + ' of the model: the model must be the same person, with the same face, facial features and skin tone. Do not copy the clothing, pose or background of the portraits.';
+}
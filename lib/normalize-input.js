@@ -0,0 +1,107 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+
+/**
+ * Input preprocessing for style and hijab photos
+ *
+ * Phone photos arrive as HEIC, animated GIFs or 4000px+ JPEGs with an EXIF
+ * orientation flag, none of which every provider handles. Anything that is
+ * not already a small, upright JPEG/PNG/WebP is rotated upright, shrunk to
+ * fit within maxEdge and re-encoded (JPEG, or PNG when it has transparency).
+ * Converted copies are cached under cacheDir, keyed by the source file's
+ * path, size and modification time, so repeat runs reuse them.
+ */
+
+export const DEFAULT_MAX_EDGE = 2048;
+
+// Bump to invalidate cached copies when the conversion below changes
+const CACHE_VERSION = 1;
+
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+const PASSTHROUGH_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Re-encode large files even when they are within maxEdge
+const MAX_PASSTHROUGH_BYTES = 8 * 1024 * 1024;
+
+function cacheKey(filePath, stat, maxEdge) {
+  return crypto.createHash('sha1')
+    .update([CACHE_VERSION, path.resolve(filePath), stat.size, stat.mtimeMs, maxEdge].join('|'))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+async function findCached(cacheDir, baseName) {
+  for (const ext of ['.jpg', '.png']) {
+    const cachedPath = path.join(cacheDir, baseName + ext);
+    if (await fs.pathExists(cachedPath)) {
+      return cachedPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a HEIC/HEIF photo to a JPEG buffer. Prebuilt sharp binaries cannot
+ * read HEIC, so fall back to the bundled WebAssembly decoder.
+ */
+async function decodeHeif(filePath) {
+  try {
+    return await sharp(filePath).jpeg({ quality: 95 }).toBuffer();
+  } catch {
+    const buffer = await fs.readFile(filePath);
+    try {
+      return Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.95 }));
+    } catch (error) {
+      throw new Error('Could not decode ' + path.basename(filePath) + ': ' + error.message);
+    }
+  }
+}
+
+/**
+ * Return a path the providers can read for filePath: the file itself when it
+ * needs no work, otherwise a normalized copy in cacheDir
+ */
+export async function normalizeInput(filePath, { maxEdge = DEFAULT_MAX_EDGE, cacheDir }) {
+  const stat = await fs.stat(filePath);
+  const baseName = path.parse(filePath).name + '_' + cacheKey(filePath, stat, maxEdge);
+  
+  const cached = await findCached(cacheDir, baseName);
+  if (cached) {
+    return cached;
+  }
+  
+  let input = filePath;
+  if (HEIF_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    input = await decodeHeif(filePath);
+  } else {
+    const metadata = await sharp(filePath).metadata();
+    const upright = !metadata.orientation || metadata.orientation === 1;
+    const withinLimits = Math.max(metadata.width, metadata.height) <= maxEdge && stat.size <= MAX_PASSTHROUGH_BYTES;
+    if (PASSTHROUGH_FORMATS.includes(metadata.format) && upright && withinLimits && !(metadata.pages > 1)) {
+      return filePath;
+    }
+  }
+  
+  // First frame only for animated GIF/WebP; rotate() applies and drops the EXIF orientation
+  const image = sharp(input, { pages: 1 })
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+  const { hasAlpha } = await sharp(input, { pages: 1 }).metadata();
+  const outputPath = path.join(cacheDir, baseName + (hasAlpha ? '.png' : '.jpg'));
+  
+  // Write under a unique temporary name so parallel runs never read a partial file
+  await fs.ensureDir(cacheDir);
+  const tempPath = outputPath + '.' + process.pid + '.' + crypto.randomBytes(3).toString('hex') + '.tmp';
+  try {
+    await (hasAlpha ? image.png() : image.jpeg({ quality: 92, mozjpeg: true })).toFile(tempPath);
+    await fs.move(tempPath, outputPath, { overwrite: true });
+  } finally {
+    await fs.remove(tempPath);
+  }
+  
+  console.log('Normalized input ' + path.basename(filePath) + ' -> ' + path.basename(outputPath));
+  return outputPath;
+}
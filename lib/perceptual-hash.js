@@ -0,0 +1,96 @@
+import sharp from 'sharp';
+
+/**
+ * Perceptual hashes for spotting near-identical generations
+ *
+ * A difference hash (dHash): the image is shrunk to 9x8 greyscale and each of
+ * the 64 bits records whether a pixel is brighter than its right-hand
+ * neighbour. Re-encoding, resizing and small edits flip only a few bits, so
+ * the Hamming distance between two hashes measures how alike the images look.
+ */
+
+// Hashes this close (out of 64 bits) count as near-duplicates
+export const NEAR_DUPLICATE_DISTANCE = 8;
+
+/**
+ * 64-bit dHash of an image (file path or encoded buffer) as 16 hex characters
+ */
+export async function computeImageHash(input) {
+  const pixels = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+/**
+ * Number of differing bits between two hex hashes, compared as two 32-bit
+ * halves (the gallery view compares every pair of images)
+ */
+export function hammingDistance(a, b) {
+  const high = parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16);
+  const low = parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16);
+  return popcount32(high) + popcount32(low);
+}
+
+/**
+ * Closest of `candidates` ([{ id, phash }]) within maxDistance of hash, as
+ * { id, distance }, or null
+ */
+export function findNearestDuplicate(hash, candidates, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  let nearest = null;
+  for (const candidate of candidates) {
+    const distance = hammingDistance(hash, candidate.phash);
+    if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+      nearest = { id: candidate.id, distance };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Group images ([{ id, phash }]) whose hashes are within maxDistance of each
+ * other, directly or through a chain of lookalikes. Returns groups of two or
+ * more ids, oldest first, with the groups holding the newest images first.
+ */
+export function findDuplicateClusters(images, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const parent = images.map((_, index) => index);
+  const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      if (hammingDistance(images[i].phash, images[j].phash) <= maxDistance) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+  
+  const groups = new Map();
+  images.forEach((image, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(image.id);
+  });
+  
+  return [...groups.values()]
+    .filter(ids => ids.length > 1)
+    .map(ids => ids.sort((a, b) => a - b))
+    .sort((a, b) => b[b.length - 1] - a[a.length - 1]);
+}
@@ -0,0 +1,60 @@
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * Resolves with one { status, value | reason } per item, like Promise.allSettled.
+ */
+export async function runPool(items, worker, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+  
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Space out calls so no more than requestsPerMinute start in any minute.
+ * A falsy rate means no limit.
+ */
+export function createRateLimiter(requestsPerMinute) {
+  const interval = requestsPerMinute ? 60000 / requestsPerMinute : 0;
+  let nextSlot = 0;
+  
+  return {
+    async acquire() {
+      if (!interval) return;
+      const now = Date.now();
+      const wait = Math.max(0, nextSlot - now);
+      nextSlot = Math.max(now, nextSlot) + interval;
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  };
+}
+
+/**
+ * Serialise async critical sections within this process
+ */
+export function createMutex() {
+  let tail = Promise.resolve();
+  
+  return function runExclusive(fn) {
+    const result = tail.then(() => fn());
+    tail = result.catch(() => {});
+    return result;
+  };
+}
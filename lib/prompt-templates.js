@@ -0,0 +1,98 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const TEMPLATES_DIR = path.join(__dirname, '..', 'prompt_templates');
+
+/**
+ * Prompt templates live in prompt_templates/<name>.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "description": "...",
+ *     "hijab": "prompt used with a hijab image, may use {{variables}}",
+ *     "color": "prompt used in --color mode"
+ *   }
+ *
+ * Variables: {{styleImageCount}}, {{color}} (color mode), {{hijabName}}
+ * (hijab folder name with underscores as spaces), {{product.title}} and the
+ * other fields of the folder's product.json (see catalog.js).
+ *
+ * Bump "version" whenever the wording changes; it is recorded on every gallery
+ * entry so results from different wordings can be compared.
+ */
+
+function isValidName(name) {
+  return /^[\w-]+$/.test(name);
+}
+
+async function listTemplateNames() {
+  if (!(await fs.pathExists(TEMPLATES_DIR))) {
+    return [];
+  }
+  return (await fs.readdir(TEMPLATES_DIR)).filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json')).sort();
+}
+
+/**
+ * Name, version and description of every readable template
+ */
+export async function listTemplates() {
+  const templates = [];
+  for (const name of await listTemplateNames()) {
+    try {
+      const template = await loadTemplate(name);
+      templates.push({ name: template.name, version: template.version, description: template.description });
+    } catch (error) {
+      console.warn('Skipping prompt template ' + name + ': ' + error.message);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Load and validate prompt_templates/<name>.json
+ */
+export async function loadTemplate(name) {
+  if (!isValidName(name)) {
+    throw new Error('Invalid prompt template name: ' + name);
+  }
+  const templatePath = path.join(TEMPLATES_DIR, name + '.json');
+  if (!(await fs.pathExists(templatePath))) {
+    const available = (await listTemplateNames()).join(', ');
+    throw new Error('Prompt template "' + name + '" not found. Available templates: ' + available);
+  }
+  const template = JSON.parse(await fs.readFile(templatePath, 'utf-8'));
+  if (typeof template.hijab !== 'string' || typeof template.color !== 'string') {
+    throw new Error('Prompt template "' + name + '" needs "hijab" and "color" prompts');
+  }
+  return {
+    name,
+    version: template.version || 1,
+    description: template.description || '',
+    hijab: template.hijab,
+    color: template.color
+  };
+}
+
+/**
+ * Fill {{variable}} and {{object.field}} placeholders. Missing values render
+ * as an empty string.
+ */
+export function renderTemplateString(text, variables) {
+  return text
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+      const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), variables);
+      return value == null ? '' : String(value);
+    })
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Render a template for the given mode ('hijab' or 'color')
+ */
+export function renderTemplate(template, mode, variables) {
+  return renderTemplateString(template[mode], variables);
+}
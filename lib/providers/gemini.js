@@ -0,0 +1,100 @@
+import { GoogleGenAI } from '@google/genai';
+import fs from 'fs-extra';
+import { getMimeType } from '../images.js';
+import { ProviderError, ERROR_CLASSES } from '../errors.js';
+
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+let client = null;
+
+// The SDK throws on construction when no key is set, so only create it on first use
+export function getClient() {
+  if (!client) {
+    client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  return client;
+}
+
+/**
+ * Generate image using Google Gemini
+ * Uses all style images, the model portraits and the hijab image (if any)
+ */
+async function generate({ styleImages, modelImages = [], hijabImage, prompt, model, signal }) {
+  // Build parts array with all style images
+  const parts = [];
+  
+  // Add prompt first
+  parts.push({ text: prompt });
+  
+  // Add all style images, then the model portraits
+  for (const stylePath of [...styleImages, ...modelImages]) {
+    const buffer = await fs.readFile(stylePath);
+    parts.push({
+      inlineData: {
+        mimeType: getMimeType(stylePath),
+        data: buffer.toString('base64')
+      }
+    });
+  }
+  
+  // Add hijab image last (not present in color mode)
+  if (hijabImage) {
+    const hijabImageBuffer = await fs.readFile(hijabImage.path);
+    parts.push({
+      inlineData: {
+        mimeType: getMimeType(hijabImage.path),
+        data: hijabImageBuffer.toString('base64')
+      }
+    });
+  }
+  
+  const response = await getClient().models.generateContent({
+    model: model,
+    contents: [
+      {
+        role: 'user',
+        parts: parts
+      }
+    ],
+    generationConfig: {
+      responseModalities: ['image', 'text']
+    },
+    config: {
+      abortSignal: signal
+    }
+  });
+  
+  // A blocked prompt or safety-stopped candidate is a refusal, not a glitch
+  const blockReason = response.promptFeedback && response.promptFeedback.blockReason;
+  if (blockReason) {
+    throw new ProviderError('Gemini blocked the prompt: ' + blockReason, { errorClass: ERROR_CLASSES.CONTENT_POLICY });
+  }
+  
+  // Extract image from response
+  if (response.candidates && response.candidates.length > 0) {
+    const candidate = response.candidates[0];
+    if (SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+      throw new ProviderError('Gemini stopped generation: ' + candidate.finishReason, { errorClass: ERROR_CLASSES.CONTENT_POLICY });
+    }
+    if (candidate.content && candidate.content.parts) {
+      for (const part of candidate.content.parts) {
+        if (part.inlineData && part.inlineData.data) {
+          return part.inlineData.data; // Return base64 image data
+        }
+      }
+    }
+  }
+  
+  throw new ProviderError('No image data returned from Gemini', { errorClass: ERROR_CLASSES.EMPTY_RESPONSE });
+}
+
+export default {
+  name: 'gemini',
+  label: 'Gemini',
+  defaultModel: 'gemini-3-pro-image-preview',
+  envKey: 'GEMINI_API_KEY',
+  requestsPerMinute: 10,
+  maxConcurrency: null,
+  acceptsModelImages: true,
+  generate
+};
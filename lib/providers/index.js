@@ -0,0 +1,73 @@
+import gemini from './gemini.js';
+import openai from './openai.js';
+import stability from './stability.js';
+import localSd from './local-sd.js';
+import mock from './mock.js';
+
+/**
+ * Image provider registry
+ *
+ * A provider is an object with:
+ *   name          - value accepted by --provider
+ *   label         - human readable name for logs and the dashboard
+ *   defaultModel  - model used when --model is not given
+ *   envKey        - environment variable that must be set (null if none)
+ *   hideUnlessConfigured - only offer it in the dashboard once envKey is set
+ *   requestsPerMinute    - default rate limit for calls (null for none)
+ *   maxConcurrency       - upper bound on parallel calls (null for none)
+ *   maxCandidates        - images one call can return (omit for 1)
+ *   maxStyleImages       - style images one call can use (omit for no limit)
+ *   acceptsModelImages   - whether generate uses modelImages (omit if not)
+ *   generate      - async ({ styleImages, modelImages, hijabImage, prompt, model, options, count, signal }) => base64 image data
+ *
+ * index.js selects at most maxStyleImages style images and builds the prompt
+ * from the number it sends, so providers get every style image they are given.
+ *
+ * modelImages are the --model-ref persona's portraits (empty without one),
+ * sent after the style images and before the hijab image; --model-ref is
+ * only allowed with providers that set acceptsModelImages.
+ *
+ * count (at most maxCandidates, 1 when omitted) is how many images are
+ * wanted; providers that return several give an array of base64 images,
+ * which may be shorter than count.
+ *
+ * options holds optional generation parameters (strength, seed, aspectRatio,
+ * and background: 'white' for a listing pack's main image); providers ignore
+ * the ones they do not support. signal is an AbortSignal that
+ * fires when the call times out. Providers may throw a ProviderError (see
+ * lib/errors.js) to classify a failure; anything else is classified from its
+ * status code and message.
+ */
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('A provider needs a name and a generate function');
+  }
+  providers.set(provider.name, provider);
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+export function getProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Whether the provider has what it needs (API key) to run
+ */
+export function isProviderConfigured(provider) {
+  return !provider.envKey || !!process.env[provider.envKey];
+}
+
+registerProvider(gemini);
+registerProvider(openai);
+registerProvider(stability);
+registerProvider(localSd);
+registerProvider(mock);
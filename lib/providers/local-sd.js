@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { getMimeType } from '../images.js';
+import { ProviderError, ERROR_CLASSES } from '../errors.js';
+
+/**
+ * Self-hosted Stable Diffusion provider
+ *
+ * Talks to either an Automatic1111 WebUI (img2img API) or a ComfyUI server,
+ * chosen with LOCAL_SD_BACKEND. Both are reached at LOCAL_SD_URL.
+ */
+
+const DEFAULT_MODEL = 'local-default';
+const POLL_INTERVAL_MS = 1000;
+
+function getConfig() {
+  return {
+    baseUrl: (process.env.LOCAL_SD_URL || '').replace(/\/+$/, ''),
+    backend: (process.env.LOCAL_SD_BACKEND || 'a1111').toLowerCase(),
+    workflowPath: process.env.LOCAL_SD_WORKFLOW || null,
+    size: parseInt(process.env.LOCAL_SD_SIZE, 10) || 1024,
+    steps: parseInt(process.env.LOCAL_SD_STEPS, 10) || 30,
+    timeoutMs: parseInt(process.env.LOCAL_SD_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+    controlnetReference: process.env.LOCAL_SD_CONTROLNET === '1'
+  };
+}
+
+/**
+ * Turn an aspect ratio like "4:5" into width/height with the longest edge at
+ * `size`, rounded to the multiple of 64 Stable Diffusion expects
+ */
+function dimensionsFor(aspectRatio, size) {
+  const match = /^(\d+):(\d+)$/.exec(aspectRatio || '');
+  if (!match) {
+    return { width: size, height: size };
+  }
+  const w = parseInt(match[1], 10);
+  const h = parseInt(match[2], 10);
+  const round = value => Math.max(64, Math.round(value / 64) * 64);
+  return w >= h
+    ? { width: round(size), height: round(size * h / w) }
+    : { width: round(size * w / h), height: round(size) };
+}
+
+async function postJson(url, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = data.error && data.error.message ? data.error.message : (data.detail || data.error || response.statusText);
+    const error = new Error('Local SD error (HTTP ' + response.status + '): ' + (typeof details === 'string' ? details : JSON.stringify(details)));
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Automatic1111: the hijab photo (or first style image in color mode) is the
+ * img2img init image. Style images can optionally be sent as ControlNet
+ * reference-only units when the ControlNet extension is installed.
+ */
+async function generateA1111(config, { styleImages, hijabImage, prompt, model, options, count, signal }) {
+  const initPath = hijabImage ? hijabImage.path : styleImages[0];
+  if (!initPath) {
+    throw new ProviderError('Local SD needs a hijab image or at least one style image', { errorClass: ERROR_CLASSES.INVALID_REQUEST });
+  }
+  
+  const { width, height } = dimensionsFor(options.aspectRatio, config.size);
+  const payload = {
+    init_images: [(await fs.readFile(initPath)).toString('base64')],
+    prompt,
+    denoising_strength: options.strength !== undefined ? options.strength : 0.6,
+    seed: options.seed !== undefined ? options.seed : -1,
+    steps: config.steps,
+    width,
+    height,
+    batch_size: count
+  };
+  
+  if (model && model !== DEFAULT_MODEL) {
+    payload.override_settings = { sd_model_checkpoint: model };
+  }
+  
+  if (config.controlnetReference && styleImages.length > 0) {
+    const units = [];
+    for (const stylePath of styleImages) {
+      units.push({
+        module: 'reference_only',
+        image: (await fs.readFile(stylePath)).toString('base64'),
+        weight: 1
+      });
+    }
+    payload.alwayson_scripts = { controlnet: { args: units } };
+  }
+  
+  const data = await postJson(config.baseUrl + '/sdapi/v1/img2img', payload, signal);
+  if (!Array.isArray(data.images) || data.images.length === 0) {
+    throw new ProviderError('No image data returned from Automatic1111', { errorClass: ERROR_CLASSES.EMPTY_RESPONSE });
+  }
+  // The batch comes first; ControlNet may append its preprocessor maps after it
+  return count > 1 ? data.images.slice(0, count) : data.images[0];
+}
+
+async function uploadComfyImage(config, filePath, signal) {
+  const form = new FormData();
+  const buffer = await fs.readFile(filePath);
+  form.append('image', new Blob([buffer], { type: getMimeType(filePath) }), path.basename(filePath));
+  form.append('overwrite', 'true');
+  
+  const response = await fetch(config.baseUrl + '/upload/image', { method: 'POST', body: form, signal });
+  if (!response.ok) {
+    throw new ProviderError('ComfyUI upload failed (HTTP ' + response.status + ') for ' + path.basename(filePath), { status: response.status, errorClass: response.status >= 500 ? ERROR_CLASSES.SERVER_ERROR : ERROR_CLASSES.INVALID_REQUEST });
+  }
+  const data = await response.json();
+  return data.subfolder ? data.subfolder + '/' + data.name : data.name;
+}
+
+/**
+ * Replace "{{placeholder}}" string values anywhere in the workflow. A value
+ * that is exactly one placeholder takes the variable's type (so seeds stay
+ * numbers); placeholders inside longer strings are substituted as text.
+ */
+function fillWorkflow(node, variables) {
+  if (Array.isArray(node)) {
+    return node.map(item => fillWorkflow(item, variables));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, variables)]));
+  }
+  if (typeof node === 'string') {
+    const exact = /^\{\{(\w+)\}\}$/.exec(node);
+    if (exact && exact[1] in variables) {
+      return variables[exact[1]];
+    }
+    return node.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+  }
+  return node;
+}
+
+/**
+ * ComfyUI: upload the inputs, queue the workflow (API format JSON from
+ * LOCAL_SD_WORKFLOW) with placeholders filled in, then poll the history until
+ * the first output image is available.
+ *
+ * Placeholders: {{prompt}}, {{hijab_image}}, {{style_image_1}}..{{style_image_N}},
+ * {{seed}}, {{strength}}, {{width}}, {{height}}, {{model}}
+ */
+async function generateComfy(config, { styleImages, hijabImage, prompt, model, options, signal }) {
+  if (!config.workflowPath) {
+    throw new ProviderError('LOCAL_SD_WORKFLOW must point to a ComfyUI workflow JSON (API format)', { errorClass: ERROR_CLASSES.INVALID_REQUEST });
+  }
+  const workflow = JSON.parse(await fs.readFile(config.workflowPath, 'utf-8'));
+  
+  const { width, height } = dimensionsFor(options.aspectRatio, config.size);
+  const variables = {
+    prompt,
+    seed: options.seed !== undefined ? options.seed : crypto.randomInt(0, 2 ** 32 - 1),
+    strength: options.strength !== undefined ? options.strength : 0.6,
+    width,
+    height,
+    model
+  };
+  
+  for (let i = 0; i < styleImages.length; i++) {
+    variables['style_image_' + (i + 1)] = await uploadComfyImage(config, styleImages[i], signal);
+  }
+  if (hijabImage) {
+    variables.hijab_image = await uploadComfyImage(config, hijabImage.path, signal);
+  }
+  
+  const queued = await postJson(config.baseUrl + '/prompt', {
+    prompt: fillWorkflow(workflow, variables),
+    client_id: 'instagram-photo-style-creator'
+  }, signal);
+  const promptId = queued.prompt_id;
+  if (!promptId) {
+    throw new Error('ComfyUI did not return a prompt_id');
+  }
+  
+  const deadline = Date.now() + config.timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    
+    const historyResponse = await fetch(config.baseUrl + '/history/' + promptId, { signal });
+    const history = await historyResponse.json().catch(() => ({}));
+    const entry = history[promptId];
+    if (!entry) continue;
+    
+    if (entry.status && entry.status.status_str === 'error') {
+      throw new ProviderError('ComfyUI workflow failed', { errorClass: ERROR_CLASSES.SERVER_ERROR });
+    }
+    
+    for (const output of Object.values(entry.outputs || {})) {
+      const image = output.images && output.images.find(img => img.type === 'output');
+      if (image) {
+        const query = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type });
+        const imageResponse = await fetch(config.baseUrl + '/view?' + query, { signal });
+        if (!imageResponse.ok) {
+          throw new Error('Failed to download ComfyUI output: ' + imageResponse.statusText);
+        }
+        return Buffer.from(await imageResponse.arrayBuffer()).toString('base64');
+      }
+    }
+  }
+  
+  throw new ProviderError('Timed out waiting for ComfyUI after ' + Math.round(config.timeoutMs / 1000) + 's', { errorClass: ERROR_CLASSES.TIMEOUT });
+}
+
+async function generate({ styleImages, hijabImage, prompt, model, options = {}, count = 1, signal }) {
+  const config = getConfig();
+  const request = { styleImages, hijabImage, prompt, model, options, count, signal };
+  
+  if (config.backend === 'comfyui') {
+    return generateComfy(config, request);
+  }
+  if (config.backend === 'a1111') {
+    return generateA1111(config, request);
+  }
+  throw new ProviderError('Unknown LOCAL_SD_BACKEND "' + config.backend + '" (expected a1111 or comfyui)', { errorClass: ERROR_CLASSES.INVALID_REQUEST });
+}
+
+export default {
+  name: 'local-sd',
+  label: 'Local Stable Diffusion',
+  defaultModel: DEFAULT_MODEL,
+  envKey: 'LOCAL_SD_URL',
+  hideUnlessConfigured: true,
+  requestsPerMinute: null,
+  maxConcurrency: 1, // a single GPU processes one job at a time
+  maxCandidates: 4, // Automatic1111 batches; ComfyUI returns one image per call
+  generate
+};
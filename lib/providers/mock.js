@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import path from 'path';
+import { encodePng } from '../png.js';
+import { ProviderError } from '../errors.js';
+
+const WIDTH = 1024;
+const HEIGHT = 1024;
+
+// MOCK_PROVIDER_FAIL=<errorClass>:<count> fails the first <count> calls in
+// this process with that error class, to exercise retry handling
+let simulatedFailures = 0;
+
+// MOCK_PROVIDER_OUTPUT=<blank|tiny|truncated>:<count> returns that kind of
+// broken image for the first <count> calls, to exercise the quality gate
+let simulatedBadOutputs = 0;
+
+function colorFromHash(hash, offset) {
+  return [hash[offset], hash[offset + 1], hash[offset + 2]];
+}
+
+function mix(a, b, t) {
+  return Math.round(a + (b - a) * t);
+}
+
+/**
+ * Draw a placeholder "portrait": a vertical gradient background with a
+ * hijab-shaped silhouette, all colours derived from the request hash. The
+ * background is white instead with options.background 'white'.
+ */
+function drawPlaceholder(hash, whiteBackground = false) {
+  const top = whiteBackground ? [255, 255, 255] : colorFromHash(hash, 0);
+  const bottom = whiteBackground ? [255, 255, 255] : colorFromHash(hash, 3);
+  const hijab = colorFromHash(hash, 6);
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  
+  const headX = WIDTH / 2;
+  const headY = HEIGHT * 0.38;
+  const headRx = WIDTH * 0.16;
+  const headRy = HEIGHT * 0.2;
+  const bodyY = HEIGHT * 0.95;
+  const bodyRx = WIDTH * 0.36;
+  const bodyRy = HEIGHT * 0.38;
+  
+  for (let y = 0; y < HEIGHT; y++) {
+    const t = y / (HEIGHT - 1);
+    for (let x = 0; x < WIDTH; x++) {
+      const inHead = ((x - headX) / headRx) ** 2 + ((y - headY) / headRy) ** 2 <= 1;
+      const inBody = ((x - headX) / bodyRx) ** 2 + ((y - bodyY) / bodyRy) ** 2 <= 1;
+      const i = (y * WIDTH + x) * 3;
+      if (inHead || inBody) {
+        pixels[i] = hijab[0];
+        pixels[i + 1] = hijab[1];
+        pixels[i + 2] = hijab[2];
+      } else {
+        pixels[i] = mix(top[0], bottom[0], t);
+        pixels[i + 1] = mix(top[1], bottom[1], t);
+        pixels[i + 2] = mix(top[2], bottom[2], t);
+      }
+    }
+  }
+  
+  return encodePng(WIDTH, HEIGHT, pixels);
+}
+
+function drawBadOutput(kind) {
+  if (kind === 'blank') {
+    return encodePng(WIDTH, HEIGHT, Buffer.alloc(WIDTH * HEIGHT * 3, 255));
+  }
+  if (kind === 'tiny') {
+    return encodePng(64, 64, crypto.randomBytes(64 * 64 * 3));
+  }
+  if (kind === 'truncated') {
+    const png = drawPlaceholder(crypto.randomBytes(32));
+    return png.subarray(0, Math.floor(png.length / 2));
+  }
+  throw new Error('Unknown MOCK_PROVIDER_OUTPUT kind: ' + kind);
+}
+
+/**
+ * Offline provider for exercising the pipeline without keys or network.
+ * The same inputs (and seed) always produce the same image; with `count` > 1
+ * each candidate gets its own colours.
+ */
+async function generate({ styleImages, modelImages = [], hijabImage, prompt, model, options = {}, count = 1 }) {
+  const [failClass, failCount] = (process.env.MOCK_PROVIDER_FAIL || '').split(':');
+  if (failClass && simulatedFailures < (parseInt(failCount, 10) || 1)) {
+    simulatedFailures++;
+    throw new ProviderError('Simulated ' + failClass + ' failure from mock provider', { errorClass: failClass });
+  }
+  
+  const delay = parseInt(process.env.MOCK_PROVIDER_DELAY_MS, 10) || 0;
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  
+  const [badOutput, badCount] = (process.env.MOCK_PROVIDER_OUTPUT || '').split(':');
+  if (badOutput && simulatedBadOutputs < (parseInt(badCount, 10) || 1)) {
+    simulatedBadOutputs++;
+    return drawBadOutput(badOutput).toString('base64');
+  }
+  
+  const whiteBackground = options.background === 'white';
+  const images = [];
+  for (let index = 0; index < count; index++) {
+    const hash = crypto.createHash('sha256')
+      .update(model)
+      .update('\0' + prompt)
+      .update('\0' + styleImages.map(p => path.basename(p)).join(','))
+      .update('\0' + modelImages.map(p => path.basename(p)).join(','))
+      .update('\0' + (hijabImage ? path.basename(hijabImage.path) : ''))
+      .update('\0' + options.seed + '\0' + index)
+      .digest();
+    images.push(drawPlaceholder(hash, whiteBackground).toString('base64'));
+  }
+  return count > 1 ? images : images[0];
+}
+
+export default {
+  name: 'mock',
+  label: 'Mock',
+  defaultModel: 'mock-placeholder-1',
+  envKey: null,
+  requestsPerMinute: null,
+  maxConcurrency: null,
+  maxCandidates: 4,
+  acceptsModelImages: true,
+  generate
+};
@@ -0,0 +1,66 @@
+import OpenAI from 'openai';
+import fs from 'fs-extra';
+import path from 'path';
+import { getMimeType } from '../images.js';
+import { ProviderError, ERROR_CLASSES } from '../errors.js';
+
+let client = null;
+
+// The SDK throws on construction when no key is set, so only create it on first use.
+// SDK retries are disabled because the generator retries classified errors itself.
+function getClient() {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+async function toUploadFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return OpenAI.toFile(buffer, path.basename(filePath), {
+    type: getMimeType(filePath)
+  });
+}
+
+/**
+ * Generate image using OpenAI Images Edit API
+ * Uses all style images, the model portraits and the hijab image (if any);
+ * `count` > 1 asks for several images in one call
+ */
+async function generate({ styleImages, modelImages = [], hijabImage, prompt, model, count = 1, signal }) {
+  const imageFiles = [];
+  
+  for (const stylePath of [...styleImages, ...modelImages]) {
+    imageFiles.push(await toUploadFile(stylePath));
+  }
+  
+  // Add hijab image last (not present in color mode)
+  if (hijabImage) {
+    imageFiles.push(await toUploadFile(hijabImage.path));
+  }
+  
+  const response = await getClient().images.edit({
+    model: model,
+    prompt: prompt,
+    image: imageFiles,
+    ...(count > 1 ? { n: count } : {})
+  }, { signal });
+  
+  const images = (response.data || []).map(item => item.b64_json).filter(Boolean);
+  if (images.length > 0) {
+    return count > 1 ? images : images[0];
+  }
+  throw new ProviderError('No image data returned from OpenAI', { errorClass: ERROR_CLASSES.EMPTY_RESPONSE });
+}
+
+export default {
+  name: 'openai',
+  label: 'OpenAI',
+  defaultModel: 'gpt-image-1',
+  envKey: 'OPENAI_API_KEY',
+  requestsPerMinute: 5,
+  maxConcurrency: null,
+  maxCandidates: 10,
+  acceptsModelImages: true,
+  generate
+};
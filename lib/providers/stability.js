@@ -0,0 +1,104 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getMimeType } from '../images.js';
+import { ProviderError, ERROR_CLASSES } from '../errors.js';
+
+const DEFAULT_BASE_URL = 'https://api.stability.ai';
+
+// Aspect ratios accepted by the Stability Stable Image endpoints
+export const STABILITY_ASPECT_RATIOS = ['16:9', '1:1', '21:9', '2:3', '3:2', '4:5', '5:4', '9:16', '9:21'];
+
+function getBaseUrl() {
+  return (process.env.STABILITY_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+async function appendImage(form, field, filePath) {
+  const buffer = await fs.readFile(filePath);
+  form.append(field, new Blob([buffer], { type: getMimeType(filePath) }), path.basename(filePath));
+}
+
+/**
+ * Generate image using the Stability AI Stable Image control endpoints
+ *
+ * With a hijab image the style-transfer endpoint is used: the hijab photo is
+ * the init image and the first style image is the style reference. In color
+ * mode there is no init image, so the style endpoint generates from the style
+ * reference and prompt alone. Both endpoints accept a single style image,
+ * hence maxStyleImages: 1.
+ */
+async function generate({ styleImages, hijabImage, prompt, options = {}, signal }) {
+  if (styleImages.length === 0) {
+    throw new Error('Stability requires at least one style image');
+  }
+  if (styleImages.length > 1) {
+    console.log('Stability accepts a single style reference, using ' + path.basename(styleImages[0]));
+  }
+  
+  const form = new FormData();
+  form.append('prompt', prompt);
+  form.append('output_format', 'png');
+  if (options.seed !== undefined && options.seed !== null) {
+    form.append('seed', String(options.seed));
+  }
+  
+  let endpoint;
+  if (hijabImage) {
+    endpoint = '/v2beta/stable-image/control/style-transfer';
+    await appendImage(form, 'init_image', hijabImage.path);
+    await appendImage(form, 'style_image', styleImages[0]);
+    if (options.strength !== undefined && options.strength !== null) {
+      form.append('style_strength', String(options.strength));
+    }
+    if (options.aspectRatio) {
+      console.log('Stability style transfer keeps the hijab image aspect ratio, ignoring ' + options.aspectRatio);
+    }
+  } else {
+    endpoint = '/v2beta/stable-image/control/style';
+    await appendImage(form, 'image', styleImages[0]);
+    if (options.strength !== undefined && options.strength !== null) {
+      form.append('fidelity', String(options.strength));
+    }
+    if (options.aspectRatio) {
+      form.append('aspect_ratio', options.aspectRatio);
+    }
+  }
+  
+  const response = await fetch(getBaseUrl() + endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Bearer ' + process.env.STABILITY_API_KEY,
+      Accept: 'application/json'
+    },
+    body: form,
+    signal
+  });
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    const details = Array.isArray(data.errors) ? data.errors.join('; ') : (data.message || response.statusText);
+    const error = new Error('Stability API error (HTTP ' + response.status + '): ' + details);
+    error.status = response.status;
+    error.headers = { 'retry-after': response.headers.get('retry-after') };
+    throw error;
+  }
+  if (data.finish_reason === 'CONTENT_FILTERED') {
+    throw new ProviderError('Stability filtered the generated image (CONTENT_FILTERED)', { errorClass: ERROR_CLASSES.CONTENT_POLICY });
+  }
+  if (!data.image) {
+    throw new ProviderError('No image data returned from Stability', { errorClass: ERROR_CLASSES.EMPTY_RESPONSE });
+  }
+  
+  return data.image;
+}
+
+export default {
+  name: 'stability',
+  label: 'Stability AI',
+  defaultModel: 'stable-image-control',
+  envKey: 'STABILITY_API_KEY',
+  requestsPerMinute: 60,
+  maxConcurrency: null,
+  maxStyleImages: 1,
+  generate
+};
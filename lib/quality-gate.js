@@ -0,0 +1,73 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Checks run on every generated image before it is saved
+ *
+ * Providers occasionally return truncated files, blank or single-colour
+ * frames, or thumbnails. Those are moved to output_folder/rejected/ with a
+ * JSON file giving the reason, instead of reaching the gallery.
+ */
+
+export const REJECTED_DIR_NAME = 'rejected';
+
+export const QUALITY_LIMITS = {
+  minBytes: 10 * 1024,
+  minWidth: 256,
+  minHeight: 256,
+  // Standard deviation (0-255) below which every colour channel counts as flat
+  minChannelStdev: 4
+};
+
+const DECODABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+/**
+ * Check an encoded image. Returns { ok: true, format, width, height } or
+ * { ok: false, reason }.
+ */
+export async function checkImageQuality(buffer, limits = QUALITY_LIMITS) {
+  let metadata;
+  let stats;
+  try {
+    // failOn 'warning' makes truncated and corrupt data an error instead of grey pixels
+    metadata = await sharp(buffer, { failOn: 'warning' }).metadata();
+    stats = await sharp(buffer, { failOn: 'warning' }).stats();
+  } catch (error) {
+    return { ok: false, reason: 'Image could not be decoded: ' + error.message };
+  }
+  
+  if (!DECODABLE_FORMATS.includes(metadata.format)) {
+    return { ok: false, reason: 'Unexpected image format: ' + metadata.format };
+  }
+  if (metadata.width < limits.minWidth || metadata.height < limits.minHeight) {
+    return { ok: false, reason: 'Image is only ' + metadata.width + 'x' + metadata.height + ' (minimum ' + limits.minWidth + 'x' + limits.minHeight + ')' };
+  }
+  const colorChannels = stats.channels.slice(0, Math.min(3, stats.channels.length));
+  if (colorChannels.every(channel => channel.stdev < limits.minChannelStdev)) {
+    return { ok: false, reason: 'Image is almost a single colour' };
+  }
+  if (buffer.length < limits.minBytes) {
+    return { ok: false, reason: 'File is only ' + buffer.length + ' bytes (minimum ' + limits.minBytes + ')' };
+  }
+  
+  return { ok: true, format: metadata.format, width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Write a rejected image and a <name>.json with the reason (plus any
+ * provenance in `details`) to outputDir/rejected/. Returns the image path.
+ */
+export async function quarantineImage(outputDir, filename, buffer, reason, details = {}) {
+  const dir = path.join(outputDir, REJECTED_DIR_NAME);
+  await fs.ensureDir(dir);
+  const imagePath = path.join(dir, filename);
+  await fs.writeFile(imagePath, buffer);
+  await fs.writeJson(path.join(dir, path.parse(filename).name + '.json'), {
+    ...details,
+    filename,
+    reason,
+    rejectedAt: new Date().toISOString()
+  }, { spaces: 2 });
+  return imagePath;
+}
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+// Largest seed accepted by the providers that take one (Stability, A1111)
+export const MAX_SEED = 4294967294;
+
+/**
+ * Random seed for runs started without --seed
+ */
+export function randomSeed() {
+  return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+/**
+ * Deterministic random number generator (mulberry32) returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+export function shuffle(array, random = Math.random) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Pick `count` distinct items at random
+ */
+export function sample(array, count, random = Math.random) {
+  return shuffle(array, random).slice(0, count);
+}
@@ -0,0 +1,59 @@
+import { classifyError } from './errors.js';
+
+const DEFAULT_BASE_DELAY_MS = 2000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+/**
+ * Exponential backoff with jitter: base * 2^attempt, scaled by 50-100%
+ */
+export function backoffDelay(attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(exponential * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Run fn(attempt) and retry transient provider failures.
+ * Errors are classified first; permanent ones (content policy, auth, bad
+ * request) are rethrown immediately, transient ones are retried up to
+ * `retries` times. Rate limits wait at least as long as Retry-After asks.
+ */
+export async function withRetry(fn, { retries = 3, provider = null, baseDelayMs, maxDelayMs, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const classified = classifyError(error, provider);
+      if (!classified.retryable || attempt >= retries) {
+        classified.attempts = attempt + 1;
+        throw classified;
+      }
+      const delay = Math.max(backoffDelay(attempt, baseDelayMs, maxDelayMs), classified.retryAfterMs || 0);
+      if (onRetry) {
+        onRetry(classified, attempt + 1, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run fn(signal) and abort it if it takes longer than timeoutMs
+ */
+export async function withTimeout(fn, timeoutMs) {
+  if (!timeoutMs) {
+    return fn(undefined);
+  }
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error('Provider call timed out after ' + Math.round(timeoutMs / 1000) + 's'));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,105 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isImageFile } from './images.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCENES_DIR = path.join(__dirname, '..', 'scene_presets');
+
+/**
+ * Scene presets live in scene_presets/<name>.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "description": "...",
+ *     "prompt": "setting added to the generation prompt",
+ *     "backgrounds": ["backgrounds/garden.jpg"] // optional, relative to scene_presets/
+ *   }
+ *
+ * The prompt fragment is appended to the template (or --prompt) prompt in
+ * both hijab and color mode. Reference backgrounds are sent to the provider
+ * after the style images and before the hijab photo, and the prompt says
+ * which images they are. Bump "version" whenever the wording changes; the
+ * scene and its version are recorded on every gallery entry.
+ */
+
+function isValidName(name) {
+  return /^[\w-]+$/.test(name);
+}
+
+async function listSceneNames() {
+  if (!(await fs.pathExists(SCENES_DIR))) {
+    return [];
+  }
+  return (await fs.readdir(SCENES_DIR)).filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json')).sort();
+}
+
+/**
+ * Name, version, description and background count of every usable preset
+ */
+export async function listScenes() {
+  const scenes = [];
+  for (const name of await listSceneNames()) {
+    try {
+      const scene = await loadScene(name);
+      scenes.push({ name: scene.name, version: scene.version, description: scene.description, backgrounds: scene.backgroundPaths.length });
+    } catch (error) {
+      console.warn('Skipping scene preset ' + name + ': ' + error.message);
+    }
+  }
+  return scenes;
+}
+
+/**
+ * Load and validate scene_presets/<name>.json
+ */
+export async function loadScene(name) {
+  if (!isValidName(name)) {
+    throw new Error('Invalid scene preset name: ' + name);
+  }
+  const scenePath = path.join(SCENES_DIR, name + '.json');
+  if (!(await fs.pathExists(scenePath))) {
+    const available = (await listSceneNames()).join(', ');
+    throw new Error('Scene preset "' + name + '" not found. Available scenes: ' + available);
+  }
+  const scene = JSON.parse(await fs.readFile(scenePath, 'utf-8'));
+  if (typeof scene.prompt !== 'string' || !scene.prompt.trim()) {
+    throw new Error('Scene preset "' + name + '" needs a "prompt"');
+  }
+  
+  const backgroundPaths = [];
+  for (const background of scene.backgrounds || []) {
+    const backgroundPath = path.resolve(SCENES_DIR, background);
+    if (!(await fs.pathExists(backgroundPath))) {
+      throw new Error('Background for scene preset "' + name + '" not found: ' + background);
+    }
+    if (!isImageFile(backgroundPath)) {
+      throw new Error('Background for scene preset "' + name + '" is not a supported image type: ' + background);
+    }
+    backgroundPaths.push(backgroundPath);
+  }
+  
+  return {
+    name,
+    version: scene.version || 1,
+    description: scene.description || '',
+    prompt: scene.prompt.trim(),
+    backgroundPaths
+  };
+}
+
+/**
+ * Prompt text for a scene. firstBackground is the 1-based position of the
+ * first reference background among the images sent to the provider.
+ */
+export function scenePrompt(scene, firstBackground) {
+  const count = scene.backgroundPaths.length;
+  if (count === 0) {
+    return scene.prompt;
+  }
+  const images = count === 1
+    ? 'Image ' + firstBackground + ' shows'
+    : 'Images ' + firstBackground + ' to ' + (firstBackground + count - 1) + ' show';
+  return scene.prompt + ' ' + images + ' the background: place the model in that setting, not in the style images\' settings.';
+}
@@ -0,0 +1,99 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Downscaled copies of generated images for the dashboard grid
+ *
+ * Full outputs are multi-megabyte PNGs; the gallery cards load a small WebP
+ * thumbnail (or the medium size on high-density screens) from
+ * output_folder/thumbs/ and only the lightbox and downloads use the original.
+ */
+
+export const THUMBNAILS_DIR_NAME = 'thumbs';
+
+// Longest edge in pixels for each size
+export const THUMBNAIL_SIZES = {
+  thumb: 480,
+  medium: 960
+};
+
+export function thumbnailFilename(imageFilename, size) {
+  return THUMBNAILS_DIR_NAME + '/' + path.parse(imageFilename).name + '_' + size + '.webp';
+}
+
+/**
+ * Write one size of outputDir/imageFilename and return its filename
+ */
+export async function createThumbnail(outputDir, imageFilename, size) {
+  const edge = THUMBNAIL_SIZES[size];
+  if (!edge) {
+    throw new Error('Unknown thumbnail size "' + size + '". Available: ' + Object.keys(THUMBNAIL_SIZES).join(', '));
+  }
+  const filename = thumbnailFilename(imageFilename, size);
+  const targetPath = path.join(outputDir, filename);
+  await fs.ensureDir(path.dirname(targetPath));
+  
+  await sharp(path.join(outputDir, imageFilename))
+    .rotate()
+    .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(targetPath);
+  return filename;
+}
+
+/**
+ * Create every thumbnail size of an image
+ */
+export async function createThumbnails(outputDir, imageFilename) {
+  const filenames = [];
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    filenames.push(await createThumbnail(outputDir, imageFilename, size));
+  }
+  return filenames;
+}
+
+/**
+ * Path of a thumbnail, creating it first if it is missing
+ */
+export async function ensureThumbnail(outputDir, imageFilename, size) {
+  const thumbnailPath = path.join(outputDir, thumbnailFilename(imageFilename, size));
+  if (!(await fs.pathExists(thumbnailPath))) {
+    await createThumbnail(outputDir, imageFilename, size);
+  }
+  return thumbnailPath;
+}
+
+/**
+ * Create the missing thumbnails of existing images. Returns how many images
+ * needed them; images that cannot be read are skipped with a warning.
+ */
+export async function backfillThumbnails(outputDir, imageFilenames) {
+  let created = 0;
+  for (const imageFilename of imageFilenames) {
+    let missing = false;
+    for (const size of Object.keys(THUMBNAIL_SIZES)) {
+      if (!(await fs.pathExists(path.join(outputDir, thumbnailFilename(imageFilename, size))))) {
+        missing = true;
+      }
+    }
+    if (!missing || !(await fs.pathExists(path.join(outputDir, imageFilename)))) continue;
+    
+    try {
+      await createThumbnails(outputDir, imageFilename);
+      created++;
+    } catch (error) {
+      console.warn('Could not create thumbnails for ' + imageFilename + ': ' + error.message);
+    }
+  }
+  return created;
+}
+
+/**
+ * Delete the thumbnail files of an image
+ */
+export async function removeThumbnails(outputDir, imageFilename) {
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    await fs.remove(path.join(outputDir, thumbnailFilename(imageFilename, size)));
+  }
+}
@@ -0,0 +1,220 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { renderTemplateString } from './prompt-templates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const WATERMARKS_DIR = path.join(__dirname, '..', 'watermark_presets');
+export const WATERMARKED_DIR_NAME = 'watermarked';
+
+/**
+ * Watermark presets live in watermark_presets/<name>.json:
+ *
+ *   {
+ *     "description": "...",
+ *     "logo": "logo.png",            // optional, relative to watermark_presets/
+ *     "text": "@{{instagramUsername}}", // optional, may use {{variables}}
+ *     "position": "bottom-right",    // see POSITIONS
+ *     "opacity": 0.85,               // 0-1
+ *     "scale": 0.2,                  // logo width as a fraction of the image width
+ *     "textColor": "#ffffff"
+ *   }
+ *
+ * Watermarks are applied to a copy in output_folder/watermarked/ when an
+ * image is downloaded or posted; the original is never modified.
+ */
+
+export const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Gap between the overlay and the image edge, as a fraction of the image width
+const MARGIN = 0.04;
+// Text height as a fraction of the image width
+const TEXT_HEIGHT = 0.035;
+
+function isValidName(name) {
+  return /^[\w-]+$/.test(name);
+}
+
+async function listWatermarkNames() {
+  if (!(await fs.pathExists(WATERMARKS_DIR))) {
+    return [];
+  }
+  return (await fs.readdir(WATERMARKS_DIR)).filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json')).sort();
+}
+
+/**
+ * Name and description of every usable preset
+ */
+export async function listWatermarks() {
+  const presets = [];
+  for (const name of await listWatermarkNames()) {
+    try {
+      const preset = await loadWatermark(name);
+      presets.push({ name: preset.name, description: preset.description });
+    } catch (error) {
+      console.warn('Skipping watermark preset ' + name + ': ' + error.message);
+    }
+  }
+  return presets;
+}
+
+/**
+ * Load and validate watermark_presets/<name>.json
+ */
+export async function loadWatermark(name) {
+  if (!isValidName(name)) {
+    throw new Error('Invalid watermark preset name: ' + name);
+  }
+  const presetPath = path.join(WATERMARKS_DIR, name + '.json');
+  if (!(await fs.pathExists(presetPath))) {
+    const available = (await listWatermarkNames()).join(', ');
+    throw new Error('Watermark preset "' + name + '" not found. Available presets: ' + available);
+  }
+  const preset = JSON.parse(await fs.readFile(presetPath, 'utf-8'));
+  
+  if (!preset.logo && !preset.text) {
+    throw new Error('Watermark preset "' + name + '" needs a "logo" or "text"');
+  }
+  const logoPath = preset.logo ? path.resolve(WATERMARKS_DIR, preset.logo) : null;
+  if (logoPath && !(await fs.pathExists(logoPath))) {
+    throw new Error('Logo for watermark preset "' + name + '" not found: ' + preset.logo);
+  }
+  const position = preset.position || 'bottom-right';
+  if (!POSITIONS.includes(position)) {
+    throw new Error('Watermark preset "' + name + '" has an invalid position. Use one of: ' + POSITIONS.join(', '));
+  }
+  const opacity = preset.opacity === undefined ? 0.85 : Number(preset.opacity);
+  const scale = preset.scale === undefined ? 0.2 : Number(preset.scale);
+  if (!(opacity > 0 && opacity <= 1) || !(scale > 0 && scale <= 1)) {
+    throw new Error('Watermark preset "' + name + '" needs opacity and scale between 0 and 1');
+  }
+  
+  return {
+    name,
+    description: preset.description || '',
+    logoPath,
+    text: preset.text || '',
+    position,
+    opacity,
+    scale,
+    textColor: preset.textColor || '#ffffff'
+  };
+}
+
+function escapeMarkup(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Logo above text, aligned to the side of the image it sits on. Returns a
+ * PNG buffer with its size, or null when there is nothing to draw.
+ */
+async function buildOverlay(preset, imageWidth, text) {
+  const parts = [];
+  if (preset.logoPath) {
+    const { data, info } = await sharp(preset.logoPath)
+      .resize({ width: Math.round(imageWidth * preset.scale) })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    parts.push({ data, width: info.width, height: info.height });
+  }
+  if (text) {
+    const { data, info } = await sharp({
+      text: {
+        text: '<span foreground="' + escapeMarkup(preset.textColor) + '">' + escapeMarkup(text) + '</span>',
+        font: 'sans bold',
+        dpi: 300,
+        rgba: true
+      }
+    })
+      .resize({ height: Math.max(12, Math.round(imageWidth * TEXT_HEIGHT)) })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    parts.push({ data, width: info.width, height: info.height });
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  
+  const gap = Math.round(imageWidth * 0.01);
+  const width = Math.max(...parts.map(p => p.width));
+  const height = parts.reduce((sum, p) => sum + p.height, 0) + gap * (parts.length - 1);
+  const alignRight = preset.position.endsWith('right');
+  const alignCenter = preset.position === 'center';
+  
+  let top = 0;
+  const layers = parts.map(part => {
+    const left = alignRight ? width - part.width : alignCenter ? Math.round((width - part.width) / 2) : 0;
+    const layer = { input: part.data, left, top };
+    top += part.height + gap;
+    return layer;
+  });
+  
+  // Fade the whole overlay: 'dest-in' keeps its pixels with their alpha scaled by the opacity
+  const data = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([
+      ...layers,
+      { input: Buffer.from([255, 255, 255, Math.round(255 * preset.opacity)]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }
+    ])
+    .png()
+    .toBuffer();
+  return { data, width, height };
+}
+
+/**
+ * Watermark output_folder/<sourceFilename> into a derived JPEG and return its
+ * filename relative to outputDir. `variables` fill {{placeholders}} in the
+ * preset's text, e.g. { instagramUsername }.
+ */
+export async function createWatermarkedImage(outputDir, sourceFilename, preset, variables = {}) {
+  const source = sharp(path.join(outputDir, sourceFilename)).rotate();
+  const { data: sourceData, info } = await source.toBuffer({ resolveWithObject: true });
+  
+  // Drop text left as bare punctuation (e.g. "@") when its variables are missing
+  const rendered = preset.text ? renderTemplateString(preset.text, variables) : '';
+  const text = /[\p{L}\p{N}]/u.test(rendered) ? rendered : '';
+  const overlay = await buildOverlay(preset, info.width, text);
+  
+  const composites = [];
+  if (overlay) {
+    // Keep the overlay inside the image even for very small outputs
+    const scaleDown = Math.min(1, (info.width * (1 - 2 * MARGIN)) / overlay.width, (info.height * (1 - 2 * MARGIN)) / overlay.height);
+    const overlayWidth = Math.max(1, Math.floor(overlay.width * scaleDown));
+    const overlayHeight = Math.max(1, Math.floor(overlay.height * scaleDown));
+    const input = scaleDown < 1 ? await sharp(overlay.data).resize(overlayWidth, overlayHeight).toBuffer() : overlay.data;
+    
+    const margin = Math.round(info.width * MARGIN);
+    const [vertical, horizontal] = preset.position === 'center' ? ['center', 'center'] : preset.position.split('-');
+    const left = horizontal === 'left' ? margin : horizontal === 'right' ? info.width - overlayWidth - margin : Math.round((info.width - overlayWidth) / 2);
+    const top = vertical === 'top' ? margin : vertical === 'bottom' ? info.height - overlayHeight - margin : Math.round((info.height - overlayHeight) / 2);
+    composites.push({ input, left, top });
+  }
+  
+  const filename = WATERMARKED_DIR_NAME + '/' + path.parse(sourceFilename).name + '_' + preset.name + '.jpg';
+  const targetPath = path.join(outputDir, filename);
+  await fs.ensureDir(path.dirname(targetPath));
+  await sharp(sourceData)
+    .composite(composites)
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 92, mozjpeg: true })
+    .toFile(targetPath);
+  return filename;
+}
+
+/**
+ * Delete the watermarked copies of an image and of its variants
+ */
+export async function removeWatermarkedFiles(outputDir, imageFilename) {
+  const dir = path.join(outputDir, WATERMARKED_DIR_NAME);
+  if (!(await fs.pathExists(dir))) {
+    return;
+  }
+  const prefix = path.parse(imageFilename).name + '_';
+  for (const file of await fs.readdir(dir)) {
+    if (file.startsWith(prefix)) {
+      await fs.remove(path.join(dir, file));
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isImageFile } from './lib/images.js';
+import { openGallery } from './lib/gallery-db.js';
+import { readMetadataFromFile } from './lib/image-metadata.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUTPUT_DIR = path.join(__dirname, 'output_folder');
+
+// Usage:
+//   node rebuild-gallery.js            Add images in output_folder that are missing from the gallery
+//   node rebuild-gallery.js --dry-run  List them without changing the gallery
+//   node rebuild-gallery.js --show <file>  Print the provenance embedded in an image
+async function rebuildGallery() {
+  const args = process.argv.slice(2);
+  
+  try {
+    const showIndex = args.indexOf('--show');
+    if (showIndex !== -1) {
+      const file = args[showIndex + 1];
+      if (!file) {
+        throw new Error('--show needs an image file');
+      }
+      const metadata = await readMetadataFromFile(file);
+      if (!metadata) {
+        throw new Error('No embedded provenance found in ' + file);
+      }
+      console.log(JSON.stringify(metadata, null, 2));
+      return;
+    }
+    
+    const dryRun = args.includes('--dry-run');
+    await fs.ensureDir(OUTPUT_DIR);
+    const gallery = openGallery(OUTPUT_DIR);
+    const knownFilenames = new Set(gallery.listImages().map(img => img.filename));
+    
+    const files = (await fs.readdir(OUTPUT_DIR)).filter(file => isImageFile(file)).sort();
+    let imported = 0;
+    let withoutMetadata = 0;
+    for (const file of files) {
+      if (knownFilenames.has(file)) continue;
+      
+      const metadata = await readMetadataFromFile(path.join(OUTPUT_DIR, file));
+      if (!metadata || !metadata.id) {
+        withoutMetadata++;
+        continue;
+      }
+      if (gallery.getImage(metadata.id)) {
+        console.warn('Skipping ' + file + ': image id ' + metadata.id + ' is already in the gallery');
+        continue;
+      }
+      
+      console.log((dryRun ? 'Would import ' : 'Imported ') + file + ' (' + metadata.hijabStyle + ', ' + metadata.provider + ')');
+      if (!dryRun) {
+        gallery.addImage({ ...metadata, hijabStyle: metadata.hijabStyle || 'unknown', filename: file, caption: '' });
+      }
+      imported++;
+    }
+    gallery.close();
+    
+    console.log('\n' + (dryRun ? 'Would import ' : 'Imported ') + imported + ' image(s).');
+    if (withoutMetadata > 0) {
+      console.log(withoutMetadata + ' image(s) not in the gallery have no embedded provenance and were skipped.');
+    }
+  } catch (error) {
+    console.error('Error rebuilding gallery:', error.message);
+    process.exit(1);
+  }
+}
+
+rebuildGallery();
@@ -8,6 +8,7 @@ const __dirname = path.dirname(__filename);
 const STYLE_INPUT_DIR = path.join(__dirname, 'style_input');
 const HIJAB_INPUT_DIR = path.join(__dirname, 'hijab_input');
 const OUTPUT_DIR = path.join(__dirname, 'output_folder');
+const MODEL_INPUT_DIR = path.join(__dirname, 'model_input');
 
 async function setup() {
   try {
@@ -22,6 +23,9 @@ async function setup() {
     await fs.ensureDir(OUTPUT_DIR);
     console.log(`✓ Created ${OUTPUT_DIR}`);
     
+    await fs.ensureDir(MODEL_INPUT_DIR);
+    console.log(`✓ Created ${MODEL_INPUT_DIR}`);
+    
     // Create example hijab directories
     const exampleHijabDirs = [
       path.join(HIJAB_INPUT_DIR, 'hijab_name_1'),
@@ -39,6 +43,7 @@ async function setup() {
     console.log('2. Add hijab images to subdirectories in:', HIJAB_INPUT_DIR);
     console.log('3. Create a .env file with your OPENAI_API_KEY');
     console.log('4. Run: npm start');
+    console.log('\nOptional: add portraits of a model persona to a subdirectory of', MODEL_INPUT_DIR, 'and pass --model-ref <name>');
   } catch (error) {
     console.error('Error setting up directories:', error.message);
     process.exit(1);